@@ -7,8 +7,11 @@
 'use strict';
 
 exports.certs = require('./certs');
+exports.jpp = require('./jpp');
 exports.PaymentACK = require('./paymentack');
 exports.PaymentDetails = require('./paymentdetails');
 exports.Payment = require('./payment');
 exports.PaymentRequest = require('./paymentrequest');
+exports.paymentvalidator = require('./paymentvalidator');
+exports.TrustStore = require('./truststore');
 exports.x509 = require('./x509');
@@ -7,10 +7,15 @@
 'use strict';
 
 const assert = require('bsert');
+const SHA1 = require('../bcrypto/sha1');
 const SHA224 = require('../bcrypto/sha224');
 const SHA256 = require('../bcrypto/sha256');
 const SHA384 = require('../bcrypto/sha384');
 const SHA512 = require('../bcrypto/sha512');
+const SHA3_224 = require('../bcrypto/sha3-224');
+const SHA3_256 = require('../bcrypto/sha3-256');
+const SHA3_384 = require('../bcrypto/sha3-384');
+const SHA3_512 = require('../bcrypto/sha3-512');
 const rsa = require('../bcrypto/rsa');
 const p224 = require('../bcrypto/p224');
 const p256 = require('../bcrypto/p256');
@@ -18,15 +23,18 @@ const p384 = require('../bcrypto/p384');
 const p521 = require('../bcrypto/p521');
 
 /**
- * Verify signature with public key.
+ * Verify signature with public key. RSA signatures are
+ * checked as PSS when a salt length is passed or the key
+ * is an RSA-PSS key, and as PKCS#1 v1.5 otherwise.
  * @param {String} alg - Hash algorithm.
  * @param {Buffer} msg
  * @param {Buffer} sig
  * @param {Object} key
+ * @param {Number?} saltLen - PSS salt length.
  * @returns {Boolean}
  */
 
-exports.verify = function verify(alg, msg, sig, key) {
+exports.verify = function verify(alg, msg, sig, key, saltLen) {
   const hash = getHash(alg);
 
   if (!hash)
@@ -34,6 +42,9 @@ exports.verify = function verify(alg, msg, sig, key) {
 
   switch (key.alg) {
     case 'rsa': {
+      if (saltLen != null || key.pss)
+        return rsa.verifyPSS(hash, hash.digest(msg), sig, key.data, saltLen);
+
       return rsa.verify(hash, hash.digest(msg), sig, key.data);
     }
 
@@ -57,10 +68,11 @@ exports.verify = function verify(alg, msg, sig, key) {
  * @param {String} alg - Hash algorithm.
  * @param {Buffer} msg
  * @param {Object} key
+ * @param {Number?} saltLen - PSS salt length (see `verify`).
  * @returns {Buffer}
  */
 
-exports.sign = function sign(alg, msg, key) {
+exports.sign = function sign(alg, msg, key, saltLen) {
   const hash = getHash(alg);
 
   if (!hash)
@@ -68,6 +80,9 @@ exports.sign = function sign(alg, msg, key) {
 
   switch (key.alg) {
     case 'rsa': {
+      if (saltLen != null || key.pss)
+        return rsa.signPSS(hash, hash.digest(msg), key.data, saltLen);
+
       return rsa.sign(hash, hash.digest(msg), key.data);
     }
 
@@ -93,6 +108,8 @@ exports.sign = function sign(alg, msg, key) {
 function getHash(alg) {
   assert(typeof alg === 'string');
   switch (alg) {
+    case 'sha1':
+      return SHA1;
     case 'sha224':
       return SHA224;
     case 'sha256':
@@ -101,6 +118,14 @@ function getHash(alg) {
       return SHA384;
     case 'sha512':
       return SHA512;
+    case 'sha3-224':
+      return SHA3_224;
+    case 'sha3-256':
+      return SHA3_256;
+    case 'sha3-384':
+      return SHA3_384;
+    case 'sha3-512':
+      return SHA3_512;
     default:
       return null;
   }
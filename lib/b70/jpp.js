@@ -0,0 +1,1039 @@
+/*!
+ * jpp.js - json payment protocol (v2) for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const sha256 = require('../bcrypto/sha256');
+const secp256k1 = require('../bcrypto/secp256k1');
+const message = require('../utils/message');
+const Address = require('../primitives/address');
+const Script = require('../script/script');
+const SLP = require('../script/slp');
+const PaymentDetails = require('./paymentdetails');
+const Payment = require('./payment');
+const PaymentACK = require('./paymentack');
+
+/**
+ * @exports b70/jpp
+ */
+
+const jpp = exports;
+
+/*
+ * Constants
+ */
+
+const DEFAULT_CHAIN = 'XEC';
+
+/**
+ * JSON Payment Options
+ * Answer to `Accept: application/payment-options`.
+ * @alias module:b70.JsonPaymentOptions
+ * @property {Number} time
+ * @property {Number} expires
+ * @property {String|null} memo
+ * @property {String|null} paymentUrl
+ * @property {String|null} paymentId
+ * @property {Object[]} paymentOptions
+ */
+
+class JsonPaymentOptions {
+  /**
+   * Create payment options.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.time = Math.floor(Date.now() / 1000);
+    this.expires = -1;
+    this.memo = null;
+    this.paymentUrl = null;
+    this.paymentId = null;
+    this.paymentOptions = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @returns {JsonPaymentOptions}
+   */
+
+  fromOptions(options) {
+    fromHeader(this, options);
+
+    if (options.paymentOptions) {
+      assert(Array.isArray(options.paymentOptions));
+      for (const option of options.paymentOptions) {
+        assert(option && typeof option === 'object');
+        assert(typeof option.chain === 'string');
+        assert(typeof option.currency === 'string');
+        assert(typeof option.network === 'string');
+        assert(Number.isSafeInteger(option.estimatedAmount));
+        assert(typeof option.requiredFeeRate === 'number');
+        this.paymentOptions.push({
+          chain: option.chain,
+          currency: option.currency,
+          network: option.network,
+          estimatedAmount: option.estimatedAmount,
+          requiredFeeRate: option.requiredFeeRate,
+          minerFee: option.minerFee != null ? option.minerFee : 0,
+          decimals: option.decimals != null ? option.decimals : 8,
+          selected: Boolean(option.selected)
+        });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate payment options from options.
+   * @param {Object} options
+   * @returns {JsonPaymentOptions}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Inject properties from payment details.
+   * @private
+   * @param {PaymentDetails} details
+   * @param {Object?} options
+   * @param {String?} options.paymentId
+   * @param {String?} options.chain
+   * @param {String?} options.currency
+   * @param {Number?} options.requiredFeeRate - Satoshis per byte.
+   * @returns {JsonPaymentOptions}
+   */
+
+  fromDetails(details, options = {}) {
+    const chain = options.chain || DEFAULT_CHAIN;
+
+    let amount = 0;
+
+    for (const output of details.outputs)
+      amount += output.value;
+
+    return this.fromOptions({
+      time: details.time,
+      expires: details.expires !== -1 ? details.expires : null,
+      memo: details.memo,
+      paymentUrl: details.paymentUrl,
+      paymentId: getPaymentId(details, options),
+      paymentOptions: [{
+        chain,
+        currency: options.currency || chain,
+        network: details.network || 'main',
+        estimatedAmount: amount,
+        requiredFeeRate: getFeeRate(options),
+        selected: true
+      }]
+    });
+  }
+
+  /**
+   * Instantiate payment options from payment details.
+   * @param {PaymentDetails} details
+   * @param {Object?} options
+   * @returns {JsonPaymentOptions}
+   */
+
+  static fromDetails(details, options) {
+    return new this().fromDetails(details, options);
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return Object.assign(toHeader(this), {
+      paymentOptions: this.paymentOptions.map(option => ({...option}))
+    });
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from json object.
+   * @private
+   * @param {Object} json
+   * @returns {JsonPaymentOptions}
+   */
+
+  fromJSON(json) {
+    return this.fromOptions(fromHeaderJSON(json));
+  }
+
+  /**
+   * Instantiate payment options from json object.
+   * @param {Object} json
+   * @returns {JsonPaymentOptions}
+   */
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+}
+
+/**
+ * JSON Payment Request
+ * Answer to `Accept: application/payment-request`.
+ * @alias module:b70.JsonPaymentRequest
+ * @property {Number} time
+ * @property {Number} expires
+ * @property {String|null} memo
+ * @property {String|null} paymentUrl
+ * @property {String|null} paymentId
+ * @property {String} chain
+ * @property {String} network
+ * @property {String} currency
+ * @property {String|null} tokenId - Requested token (hex), an
+ * extension carried over from token payment details.
+ * @property {Number} tokenVersion - Token type (-1 if unset).
+ * @property {Object[]} instructions - Outputs may name
+ * a `tokenAmount` (decimal string) for token requests.
+ */
+
+class JsonPaymentRequest {
+  /**
+   * Create a payment request.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.time = Math.floor(Date.now() / 1000);
+    this.expires = -1;
+    this.memo = null;
+    this.paymentUrl = null;
+    this.paymentId = null;
+    this.chain = DEFAULT_CHAIN;
+    this.network = 'main';
+    this.currency = DEFAULT_CHAIN;
+    this.tokenId = null;
+    this.tokenVersion = -1;
+    this.instructions = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @returns {JsonPaymentRequest}
+   */
+
+  fromOptions(options) {
+    fromHeader(this, options);
+
+    if (options.chain != null) {
+      assert(typeof options.chain === 'string');
+      this.chain = options.chain;
+      this.currency = options.chain;
+    }
+
+    if (options.network != null) {
+      assert(typeof options.network === 'string');
+      this.network = options.network;
+    }
+
+    if (options.currency != null) {
+      assert(typeof options.currency === 'string');
+      this.currency = options.currency;
+    }
+
+    if (options.tokenId != null) {
+      assert(typeof options.tokenId === 'string'
+        && /^[0-9a-f]{64}$/i.test(options.tokenId), 'Invalid token id.');
+      this.tokenId = options.tokenId.toLowerCase();
+    }
+
+    if (options.tokenVersion != null) {
+      assert((options.tokenVersion & 0xff) === options.tokenVersion
+        || options.tokenVersion === -1);
+      this.tokenVersion = options.tokenVersion;
+    }
+
+    if (options.instructions) {
+      assert(Array.isArray(options.instructions));
+      for (const item of options.instructions) {
+        assert(item && typeof item === 'object');
+        assert(typeof item.requiredFeeRate === 'number');
+        assert(Array.isArray(item.outputs));
+
+        const outputs = [];
+
+        for (const output of item.outputs) {
+          assert(output && typeof output === 'object');
+          assert(Number.isSafeInteger(output.amount) && output.amount >= 0);
+          assert(typeof output.address === 'string'
+            || typeof output.script === 'string');
+
+          const out = output.address != null
+            ? {amount: output.amount, address: output.address}
+            : {amount: output.amount, script: output.script};
+
+          if (output.tokenAmount != null)
+            out.tokenAmount = SLP.toU64(output.tokenAmount).toString(10);
+
+          outputs.push(out);
+        }
+
+        this.instructions.push({
+          type: item.type || 'transaction',
+          requiredFeeRate: item.requiredFeeRate,
+          outputs
+        });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment request from options.
+   * @param {Object} options
+   * @returns {JsonPaymentRequest}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Inject properties from payment details. Outputs
+   * without an address keep their raw script. Token
+   * requests keep their token id, type and amounts.
+   * @private
+   * @param {PaymentDetails} details
+   * @param {Object?} options
+   * @param {String?} options.paymentId
+   * @param {String?} options.chain
+   * @param {String?} options.currency
+   * @param {Number?} options.requiredFeeRate - Satoshis per byte.
+   * @returns {JsonPaymentRequest}
+   */
+
+  fromDetails(details, options = {}) {
+    const network = details.network || 'main';
+    const outputs = [];
+
+    for (const output of details.outputs) {
+      const script = Script.fromRaw(output.script);
+      const addr = Address.fromScript(script);
+      const out = {amount: output.value};
+
+      // P2PK and bare multisig have no address of their own.
+      if (addr && Script.fromAddress(addr).equals(script))
+        out.address = addr.toString(toNetwork(network));
+      else
+        out.script = output.script.toString('hex');
+
+      if (output.tokenAmount)
+        out.tokenAmount = output.tokenAmount.toString(10);
+
+      outputs.push(out);
+    }
+
+    return this.fromOptions({
+      time: details.time,
+      expires: details.expires !== -1 ? details.expires : null,
+      memo: details.memo,
+      paymentUrl: details.paymentUrl,
+      paymentId: getPaymentId(details, options),
+      chain: options.chain || DEFAULT_CHAIN,
+      network,
+      currency: options.currency,
+      tokenId: details.tokenId ? details.tokenId.toString('hex') : null,
+      tokenVersion: details.tokenVersion,
+      instructions: [{
+        type: 'transaction',
+        requiredFeeRate: getFeeRate(options),
+        outputs
+      }]
+    });
+  }
+
+  /**
+   * Instantiate a payment request from payment details.
+   * @param {PaymentDetails} details
+   * @param {Object?} options
+   * @returns {JsonPaymentRequest}
+   */
+
+  static fromDetails(details, options) {
+    return new this().fromDetails(details, options);
+  }
+
+  /**
+   * Convert the request to payment details. The
+   * payment id is carried as merchant data.
+   * @returns {PaymentDetails}
+   */
+
+  toDetails() {
+    const network = toNetwork(this.network);
+    const outputs = [];
+
+    for (const item of this.instructions) {
+      for (const output of item.outputs) {
+        let script;
+
+        if (output.address != null) {
+          const addr = Address.fromString(output.address, network);
+          script = Script.fromAddress(addr).toRaw();
+        } else {
+          script = Buffer.from(output.script, 'hex');
+        }
+
+        outputs.push({
+          value: output.amount,
+          script,
+          tokenAmount: output.tokenAmount
+        });
+      }
+    }
+
+    return new PaymentDetails({
+      network: this.network,
+      tokenId: this.tokenId,
+      tokenVersion: this.tokenVersion !== -1 ? this.tokenVersion : null,
+      outputs,
+      time: this.time,
+      expires: this.expires !== -1 ? this.expires : null,
+      memo: this.memo,
+      paymentUrl: this.paymentUrl,
+      merchantData: this.paymentId != null
+        ? Buffer.from(this.paymentId, 'utf8')
+        : null
+    });
+  }
+
+  /**
+   * Get the highest required fee rate.
+   * @returns {Number} Satoshis per byte.
+   */
+
+  getFeeRate() {
+    let rate = 0;
+
+    for (const item of this.instructions)
+      rate = Math.max(rate, item.requiredFeeRate);
+
+    return rate;
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    const json = Object.assign(toHeader(this), {
+      chain: this.chain,
+      network: this.network,
+      currency: this.currency,
+      instructions: this.instructions.map(item => ({
+        type: item.type,
+        requiredFeeRate: item.requiredFeeRate,
+        outputs: item.outputs.map(output => ({...output}))
+      }))
+    });
+
+    // Plain requests look the same to every wallet.
+    if (this.tokenId) {
+      json.tokenId = this.tokenId;
+      json.tokenVersion = this.tokenVersion;
+    }
+
+    return json;
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from json object.
+   * @private
+   * @param {Object} json
+   * @returns {JsonPaymentRequest}
+   */
+
+  fromJSON(json) {
+    return this.fromOptions(fromHeaderJSON(json));
+  }
+
+  /**
+   * Instantiate a payment request from json object.
+   * @param {Object} json
+   * @returns {JsonPaymentRequest}
+   */
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+}
+
+/**
+ * JSON Payment Verification
+ * Body posted as `application/payment-verification`,
+ * and, unchanged, as `application/payment`.
+ * @alias module:b70.JsonPaymentVerification
+ * @property {String} chain
+ * @property {String} currency
+ * @property {Buffer[]} transactions
+ * @property {Number[]} weightedSizes
+ */
+
+class JsonPaymentVerification {
+  /**
+   * Create a payment verification.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.chain = DEFAULT_CHAIN;
+    this.currency = DEFAULT_CHAIN;
+    this.transactions = [];
+    this.weightedSizes = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @returns {JsonPaymentVerification}
+   */
+
+  fromOptions(options) {
+    if (options.chain != null) {
+      assert(typeof options.chain === 'string');
+      this.chain = options.chain;
+      this.currency = options.chain;
+    }
+
+    if (options.currency != null) {
+      assert(typeof options.currency === 'string');
+      this.currency = options.currency;
+    }
+
+    if (options.transactions) {
+      assert(Array.isArray(options.transactions));
+      for (const tx of options.transactions) {
+        assert(Buffer.isBuffer(tx));
+        this.transactions.push(tx);
+        this.weightedSizes.push(tx.length);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment verification from options.
+   * @param {Object} options
+   * @returns {JsonPaymentVerification}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Inject properties from a BIP70 payment.
+   * @private
+   * @param {Payment} payment
+   * @param {String?} chain
+   * @returns {JsonPaymentVerification}
+   */
+
+  fromPayment(payment, chain) {
+    return this.fromOptions({
+      chain,
+      transactions: payment.transactions
+    });
+  }
+
+  /**
+   * Instantiate a payment verification from a BIP70 payment.
+   * @param {Payment} payment
+   * @param {String?} chain
+   * @returns {JsonPaymentVerification}
+   */
+
+  static fromPayment(payment, chain) {
+    return new this().fromPayment(payment, chain);
+  }
+
+  /**
+   * Convert to a BIP70 payment, e.g. for
+   * {@link module:b70/paymentvalidator.verifyPayment}.
+   * @param {PaymentDetails?} details - Supplies merchant data.
+   * @returns {Payment}
+   */
+
+  toPayment(details) {
+    return new Payment({
+      merchantData: details ? details.merchantData : null,
+      transactions: this.transactions
+    });
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      chain: this.chain,
+      currency: this.currency,
+      transactions: this.transactions.map((tx, i) => ({
+        tx: tx.toString('hex'),
+        weightedSize: this.weightedSizes[i]
+      }))
+    };
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from json object.
+   * @private
+   * @param {Object} json
+   * @returns {JsonPaymentVerification}
+   */
+
+  fromJSON(json) {
+    assert(json && typeof json === 'object');
+    assert(Array.isArray(json.transactions));
+
+    this.fromOptions({
+      chain: json.chain,
+      currency: json.currency
+    });
+
+    for (const item of json.transactions) {
+      assert(item && typeof item.tx === 'string');
+      const tx = Buffer.from(item.tx, 'hex');
+      this.transactions.push(tx);
+      this.weightedSizes.push(item.weightedSize != null
+        ? item.weightedSize
+        : tx.length);
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment verification from json object.
+   * @param {Object} json
+   * @returns {JsonPaymentVerification}
+   */
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+}
+
+/**
+ * JSON Payment Response
+ * Answer to a payment verification or payment.
+ * @alias module:b70.JsonPaymentResponse
+ * @property {String} chain
+ * @property {Buffer[]} transactions
+ * @property {String|null} memo
+ */
+
+class JsonPaymentResponse {
+  /**
+   * Create a payment response.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.chain = DEFAULT_CHAIN;
+    this.transactions = [];
+    this.memo = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @returns {JsonPaymentResponse}
+   */
+
+  fromOptions(options) {
+    if (options.chain != null) {
+      assert(typeof options.chain === 'string');
+      this.chain = options.chain;
+    }
+
+    if (options.transactions) {
+      assert(Array.isArray(options.transactions));
+      for (const tx of options.transactions) {
+        assert(Buffer.isBuffer(tx));
+        this.transactions.push(tx);
+      }
+    }
+
+    if (options.memo != null) {
+      assert(typeof options.memo === 'string');
+      this.memo = options.memo;
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment response from options.
+   * @param {Object} options
+   * @returns {JsonPaymentResponse}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Inject properties from a BIP70 payment ack.
+   * @private
+   * @param {PaymentACK} ack
+   * @param {String?} chain
+   * @returns {JsonPaymentResponse}
+   */
+
+  fromACK(ack, chain) {
+    return this.fromOptions({
+      chain,
+      transactions: ack.payment.transactions,
+      memo: ack.memo
+    });
+  }
+
+  /**
+   * Instantiate a payment response from a BIP70 payment ack.
+   * @param {PaymentACK} ack
+   * @param {String?} chain
+   * @returns {JsonPaymentResponse}
+   */
+
+  static fromACK(ack, chain) {
+    return new this().fromACK(ack, chain);
+  }
+
+  /**
+   * Convert to a BIP70 payment ack.
+   * @returns {PaymentACK}
+   */
+
+  toACK() {
+    return PaymentACK.fromPayment(new Payment({
+      transactions: this.transactions
+    }), this.memo);
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      payment: {
+        chain: this.chain,
+        transactions: this.transactions.map(tx => ({
+          tx: tx.toString('hex')
+        }))
+      },
+      memo: this.memo
+    };
+  }
+
+  /**
+   * Convert to an object suitable for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from json object.
+   * @private
+   * @param {Object} json
+   * @returns {JsonPaymentResponse}
+   */
+
+  fromJSON(json) {
+    assert(json && typeof json === 'object');
+    assert(json.payment && Array.isArray(json.payment.transactions));
+
+    return this.fromOptions({
+      chain: json.payment.chain,
+      transactions: json.payment.transactions.map((item) => {
+        assert(item && typeof item.tx === 'string');
+        return Buffer.from(item.tx, 'hex');
+      }),
+      memo: json.memo
+    });
+  }
+
+  /**
+   * Instantiate a payment response from json object.
+   * @param {Object} json
+   * @returns {JsonPaymentResponse}
+   */
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+}
+
+/**
+ * Sign a response body. `ecc` signs the SHA-256
+ * of the body with a compact secp256k1 signature,
+ * `message` signs its hex digest as a signed message.
+ * @param {String|Buffer} body - Exact response body.
+ * @param {KeyRing} ring
+ * @param {String} identity - Published key identity.
+ * @param {String?} [type=ecc]
+ * @returns {Object} Headers.
+ */
+
+jpp.signBody = function signBody(body, ring, identity, type = 'ecc') {
+  assert(typeof identity === 'string');
+  assert(ring.getPrivateKey(), 'Cannot sign without private key.');
+
+  const digest = sha256.digest(toBody(body));
+
+  let sig;
+
+  switch (type) {
+    case 'ecc':
+      sig = secp256k1.sign(digest, ring.getPrivateKey());
+      break;
+    case 'message':
+      sig = message.sign(digest.toString('hex'), ring);
+      break;
+    default:
+      throw new Error(`Unknown signature type: ${type}.`);
+  }
+
+  return {
+    'digest': `SHA-256=${digest.toString('hex')}`,
+    'x-identity': identity,
+    'x-signature-type': type,
+    'x-signature': sig.toString('hex')
+  };
+};
+
+/**
+ * Verify the `x-signature` of a response body.
+ * @param {Object} headers - Response headers (lowercase names).
+ * @param {String|Buffer} body - Exact response body.
+ * @param {Buffer|Object|Map} keys - Expected public key,
+ * or trusted public keys by identity.
+ * @returns {Boolean}
+ */
+
+jpp.verifyBody = function verifyBody(headers, body, keys) {
+  assert(headers && typeof headers === 'object');
+
+  const identity = headers['x-identity'];
+  const type = headers['x-signature-type'] || 'ecc';
+  const signature = headers['x-signature'];
+
+  if (typeof identity !== 'string' || typeof signature !== 'string')
+    return false;
+
+  const key = getKey(keys, identity);
+
+  if (!key)
+    return false;
+
+  const digest = sha256.digest(toBody(body));
+  const sig = Buffer.from(signature, 'hex');
+
+  if (headers.digest != null) {
+    if (headers.digest !== `SHA-256=${digest.toString('hex')}`)
+      return false;
+  }
+
+  switch (type) {
+    case 'ecc':
+      if (sig.length !== 64)
+        return false;
+      return secp256k1.verify(digest, sig, key);
+    case 'message':
+      if (sig.length !== 65)
+        return false;
+      try {
+        return message.verify(digest.toString('hex'), sig, key);
+      } catch (e) {
+        return false;
+      }
+  }
+
+  return false;
+};
+
+/*
+ * Helpers
+ */
+
+function fromHeader(obj, options) {
+  assert(options && typeof options === 'object');
+
+  if (options.time != null) {
+    assert(Number.isSafeInteger(options.time));
+    obj.time = options.time;
+  }
+
+  if (options.expires != null) {
+    assert(Number.isSafeInteger(options.expires));
+    obj.expires = options.expires;
+  }
+
+  if (options.memo != null) {
+    assert(typeof options.memo === 'string');
+    obj.memo = options.memo;
+  }
+
+  if (options.paymentUrl != null) {
+    assert(typeof options.paymentUrl === 'string');
+    obj.paymentUrl = options.paymentUrl;
+  }
+
+  if (options.paymentId != null) {
+    assert(typeof options.paymentId === 'string');
+    obj.paymentId = options.paymentId;
+  }
+}
+
+function toHeader(obj) {
+  return {
+    time: toDate(obj.time),
+    expires: obj.expires !== -1 ? toDate(obj.expires) : null,
+    memo: obj.memo,
+    paymentUrl: obj.paymentUrl,
+    paymentId: obj.paymentId
+  };
+}
+
+function fromHeaderJSON(json) {
+  assert(json && typeof json === 'object');
+  return Object.assign({}, json, {
+    time: json.time != null ? fromDate(json.time) : null,
+    expires: json.expires != null ? fromDate(json.expires) : null
+  });
+}
+
+function toDate(time) {
+  return new Date(time * 1000).toISOString();
+}
+
+function fromDate(str) {
+  assert(typeof str === 'string');
+  const ms = Date.parse(str);
+  assert(Number.isSafeInteger(ms), 'Invalid date.');
+  return Math.floor(ms / 1000);
+}
+
+function getPaymentId(details, options) {
+  if (options.paymentId != null)
+    return options.paymentId;
+
+  if (!details.merchantData)
+    return null;
+
+  return details.merchantData.toString('utf8');
+}
+
+function getFeeRate(options) {
+  if (options.requiredFeeRate != null)
+    return options.requiredFeeRate;
+  return 1;
+}
+
+function toNetwork(network) {
+  if (network === 'test')
+    return 'testnet';
+  return network;
+}
+
+function toBody(body) {
+  if (typeof body === 'string')
+    return Buffer.from(body, 'utf8');
+  assert(Buffer.isBuffer(body));
+  return body;
+}
+
+function getKey(keys, identity) {
+  if (Buffer.isBuffer(keys))
+    return keys;
+
+  if (keys instanceof Map)
+    return keys.get(identity) || null;
+
+  if (keys && typeof keys === 'object') {
+    if (Object.prototype.hasOwnProperty.call(keys, identity))
+      return keys[identity];
+  }
+
+  return null;
+}
+
+/*
+ * Expose
+ */
+
+jpp.JsonPaymentOptions = JsonPaymentOptions;
+jpp.JsonPaymentRequest = JsonPaymentRequest;
+jpp.JsonPaymentVerification = JsonPaymentVerification;
+jpp.JsonPaymentResponse = JsonPaymentResponse;
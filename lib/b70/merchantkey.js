@@ -0,0 +1,131 @@
+/*!
+ * merchantkey.js - merchant key signatures for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const sha256 = require('../bcrypto/sha256');
+const hash160 = require('../bcrypto/hash160');
+const secp256k1 = require('../bcrypto/secp256k1');
+
+/**
+ * Payment requests of pkiType `ecash+sha256` are signed
+ * with a plain key instead of a certificate. `pkiData`
+ * holds the public key, or the 20 byte key hash of the
+ * merchant's address. Signatures are Schnorr (64 bytes),
+ * DER ECDSA or recoverable ECDSA (65 bytes, required when
+ * only the key hash is published).
+ * @exports b70/merchantkey
+ */
+
+const merchantkey = exports;
+
+/**
+ * Get the pki data for a key.
+ * @param {KeyRing} ring
+ * @param {Boolean?} address - Publish the key hash only.
+ * @returns {Buffer}
+ */
+
+merchantkey.getData = function getData(ring, address) {
+  if (address)
+    return ring.getKeyHash();
+  return ring.getPublicKey();
+};
+
+/**
+ * Sign a payment request.
+ * @param {Buffer} msg - Signature data.
+ * @param {KeyRing} ring
+ * @param {Object?} options
+ * @param {Boolean?} options.address - Key hash only (recoverable).
+ * @param {Boolean?} options.schnorr - Sign with Schnorr (default).
+ * @returns {Buffer}
+ */
+
+merchantkey.sign = function sign(msg, ring, options = {}) {
+  const key = ring.getPrivateKey();
+
+  assert(key, 'Cannot sign without private key.');
+
+  const hash = sha256.digest(msg);
+
+  if (options.address) {
+    const compress = ring.getPublicKey().length === 33;
+    const [sig, param] = secp256k1.signRecoverable(hash, key);
+    const flag = Buffer.from([27 + param + (compress ? 4 : 0)]);
+    return Buffer.concat([flag, sig]);
+  }
+
+  if (options.schnorr !== false)
+    return secp256k1.schnorrSign(hash, key);
+
+  return secp256k1.signDER(hash, key);
+};
+
+/**
+ * Get the public key which signed a payment request.
+ * @param {Buffer} msg - Signature data.
+ * @param {Buffer} sig
+ * @param {Buffer} data - Pki data.
+ * @returns {Buffer|null}
+ */
+
+merchantkey.getSigner = function getSigner(msg, sig, data) {
+  const hash = sha256.digest(msg);
+
+  // Recoverable signatures never start with a DER sequence.
+  if (sig.length === 65 && sig[0] !== 0x30) {
+    const flag = sig[0] - 27;
+
+    if (flag < 0 || flag > 7)
+      return null;
+
+    const compress = (flag & 4) !== 0;
+    const key = secp256k1.recover(hash, sig.slice(1), flag & 3, compress);
+
+    if (!key)
+      return null;
+
+    if (data.length === 20) {
+      if (!hash160.digest(key).equals(data))
+        return null;
+    } else if (!key.equals(data)) {
+      return null;
+    }
+
+    if (!secp256k1.verify(hash, sig.slice(1), key))
+      return null;
+
+    return key;
+  }
+
+  if (data.length !== 33 && data.length !== 65)
+    return null;
+
+  if (sig.length === 64) {
+    if (!secp256k1.schnorrVerify(hash, sig, data))
+      return null;
+    return data;
+  }
+
+  if (!secp256k1.verifyDER(hash, sig, data))
+    return null;
+
+  return data;
+};
+
+/**
+ * Verify a payment request signature.
+ * @param {Buffer} msg - Signature data.
+ * @param {Buffer} sig
+ * @param {Buffer} data - Pki data.
+ * @returns {Boolean}
+ */
+
+merchantkey.verify = function verify(msg, sig, data) {
+  return merchantkey.getSigner(msg, sig, data) != null;
+};
@@ -7,9 +7,35 @@
 'use strict';
 
 const assert = require('bsert');
-const ProtoReader = require('./utils/protoreader');
-const ProtoWriter = require('./utils/protowriter');
-const {setData, getData} = require('./paymentdetails').prototype;
+const BN = require('../bcrypto/bn');
+const TX = require('../primitives/tx');
+const MTX = require('../primitives/mtx');
+const Script = require('../script/script');
+const ProtoSchema = require('./utils/protoschema');
+const PaymentDetails = require('./paymentdetails');
+const {setData, getData} = PaymentDetails.prototype;
+const {
+  getNetwork,
+  outputToJSON,
+  outputFromJSON,
+  dataToJSON,
+  dataFromJSON,
+  unknownToJSON,
+  unknownFromJSON,
+  fromHex
+} = require('./utils/json');
+
+/*
+ * Schema
+ */
+
+const schema = new ProtoSchema([
+  {tag: 1, name: 'merchantData', type: 'bytes', optional: true},
+  {tag: 2, name: 'transactions', type: 'bytes', repeated: true},
+  {tag: 3, name: 'refundTo', type: 'message', repeated: true,
+    schema: PaymentDetails.outputSchema},
+  {tag: 4, name: 'memo', type: 'string', optional: true}
+]);
 
 /**
  * BIP70 Payment
@@ -24,6 +50,7 @@ class Payment {
    * @property {Buffer[]} transactions
    * @property {Buffer[]} refundTo
    * @property {String|null} memo
+   * @property {UnknownField[]} unknown - Fields kept for re-encoding.
    */
 
   constructor(options) {
@@ -31,6 +58,7 @@ class Payment {
     this.transactions = [];
     this.refundTo = [];
     this.memo = null;
+    this.unknown = [];
 
     if (options)
       this.fromOptions(options);
@@ -104,33 +132,96 @@ class Payment {
   }
 
   /**
-   * Inject properties from serialized data.
-   * @private
-   * @param {Buffer} data
-   * @returns {Payment}
+   * Split a refund across the refund outputs, in
+   * proportion to their values (evenly if they are
+   * all zero). Rounding dust goes to the first output.
+   * Outputs without a value count as zero.
+   * @param {Amount} value - Total refund.
+   * @returns {Object[]} Outputs ({value, script}).
    */
 
-  fromRaw(data) {
-    const br = new ProtoReader(data);
+  getRefundOutputs(value) {
+    assert(Number.isSafeInteger(value) && value > 0);
+    assert(this.refundTo.length > 0, 'No refund outputs.');
 
-    this.merchantData = br.readFieldBytes(1, true);
+    const values = this.refundTo.map(output => Math.max(output.value, 0));
 
-    while (br.nextTag() === 2) {
-      const tx = br.readFieldBytes(2);
-      this.transactions.push(tx);
-    }
+    let total = 0;
 
-    while (br.nextTag() === 3) {
-      const op = new ProtoReader(br.readFieldBytes(3));
-      const output = {
-        value: op.readFieldU64(1, true),
-        script: op.readFieldBytes(2, true)
-      };
-      this.refundTo.push(output);
+    for (const weight of values)
+      total += weight;
+
+    const outputs = [];
+
+    let left = value;
+
+    for (let i = 0; i < this.refundTo.length; i++) {
+      let share = Math.floor(value / this.refundTo.length);
+
+      if (total > 0) {
+        share = new BN(value)
+          .imul(new BN(values[i]))
+          .div(new BN(total))
+          .toNumber();
+      }
+
+      outputs.push({value: share, script: this.refundTo[i].script});
+      left -= share;
     }
 
-    this.memo = br.readFieldString(4, true);
+    outputs[0].value += left;
+
+    const result = outputs.filter(output => output.value > 0);
+
+    let sum = 0;
+
+    for (const output of result)
+      sum += output.value;
+
+    assert(sum === value, 'Refund outputs do not sum to the refund.');
 
+    return result;
+  }
+
+  /**
+   * Build and sign a refund transaction
+   * paying to the refund outputs.
+   * @param {Amount} value - Total refund.
+   * @param {Coin[]} coins - Funding coins.
+   * @param {KeyRing|KeyRing[]} ring - Keys for the funding coins.
+   * @param {Object?} options - Funding options (see {@link MTX#fund}).
+   * @returns {Promise<MTX>}
+   */
+
+  async createRefund(value, coins, ring, options) {
+    const keys = Array.isArray(ring) ? ring : [ring];
+    const mtx = new MTX();
+
+    assert(keys.length > 0);
+
+    for (const output of this.getRefundOutputs(value))
+      mtx.addOutput(Script.fromRaw(output.script), output.value);
+
+    await mtx.fund(coins, Object.assign({
+      changeAddress: keys[0].getAddress()
+    }, options));
+
+    mtx.sign(keys);
+
+    assert(mtx.isSigned(), 'Could not sign refund.');
+
+    return mtx;
+  }
+
+  /**
+   * Inject properties from serialized data.
+   * @private
+   * @param {Buffer} data
+   * @returns {Payment}
+   */
+
+  fromRaw(data) {
+    schema.read(data, this);
     return this;
   }
 
@@ -152,25 +243,109 @@ class Payment {
    */
 
   toRaw() {
-    const bw = new ProtoWriter();
+    return schema.encode(this);
+  }
+
+  /**
+   * Convert the payment to an object suitable for JSON
+   * serialization. Transactions are listed by txid
+   * (null if they do not decode) along with their hex.
+   * @param {Network?} network
+   * @returns {Object}
+   */
+
+  getJSON(network) {
+    network = getNetwork(network);
+
+    const out = {
+      merchantData: dataToJSON(this.merchantData),
+      transactions: this.transactions.map((raw) => {
+        return {
+          hash: getTXID(raw),
+          hex: raw.toString('hex')
+        };
+      }),
+      refundTo: this.refundTo.map(output => outputToJSON(output, network)),
+      memo: this.memo
+    };
+
+    if (this.unknown.length > 0)
+      out.unknown = unknownToJSON(this.unknown);
+
+    return out;
+  }
+
+  /**
+   * Convert the payment to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from a jsonified object.
+   * @private
+   * @param {Object} json
+   * @param {Network?} network - For outputs given by address.
+   * @returns {Payment}
+   */
+
+  fromJSON(json, network) {
+    assert(json && typeof json === 'object', 'Payment must be an object.');
+    assert(Array.isArray(json.transactions), 'Transactions must be an array.');
+    assert(Array.isArray(json.refundTo), 'Refund outputs must be an array.');
 
-    if (this.merchantData)
-      bw.writeFieldBytes(1, this.merchantData);
+    network = getNetwork(network);
 
-    for (const tx of this.transactions)
-      bw.writeFieldBytes(2, tx);
+    this.merchantData = dataFromJSON(json.merchantData);
 
-    for (const output of this.refundTo) {
-      const op = new ProtoWriter();
-      op.writeFieldU64(1, output.value);
-      op.writeFieldBytes(2, output.script);
-      bw.writeFieldBytes(3, op.render());
+    this.transactions = json.transactions.map((item) => {
+      assert(item && typeof item === 'object');
+      return fromHex(item.hex);
+    });
+
+    this.refundTo = json.refundTo.map(item => outputFromJSON(item, network));
+
+    if (json.memo != null) {
+      assert(typeof json.memo === 'string');
+      this.memo = json.memo;
     }
 
-    if (this.memo != null)
-      bw.writeFieldString(4, this.memo);
+    this.unknown = unknownFromJSON(json.unknown);
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment from a jsonified object.
+   * @param {Object} json
+   * @param {Network?} network
+   * @returns {Payment}
+   */
+
+  static fromJSON(json, network) {
+    return new Payment().fromJSON(json, network);
+  }
+}
+
+/*
+ * Static
+ */
+
+Payment.schema = schema;
+
+/*
+ * Helpers
+ */
 
-    return bw.render();
+function getTXID(raw) {
+  try {
+    return TX.fromRaw(raw).txid();
+  } catch (e) {
+    return null;
   }
 }
 
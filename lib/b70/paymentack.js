@@ -7,9 +7,24 @@
 'use strict';
 
 const assert = require('bsert');
-const ProtoReader = require('./utils/protoreader');
-const ProtoWriter = require('./utils/protowriter');
+const ProtoSchema = require('./utils/protoschema');
 const Payment = require('./payment');
+const {unknownToJSON, unknownFromJSON} = require('./utils/json');
+
+/*
+ * Schema
+ */
+
+const schema = new ProtoSchema([
+  {
+    tag: 1,
+    name: 'payment',
+    type: 'bytes',
+    decode: data => Payment.fromRaw(data),
+    encode: payment => payment.toRaw()
+  },
+  {tag: 2, name: 'memo', type: 'string', optional: true}
+]);
 
 /**
  * BIP70 Payment ACK
@@ -22,11 +37,13 @@ class PaymentACK {
    * @param {Object?} options
    * @property {Payment} payment
    * @property {String|null} memo
+   * @property {UnknownField[]} unknown - Fields kept for re-encoding.
    */
 
   constructor(options) {
     this.payment = new Payment();
     this.memo = null;
+    this.unknown = [];
 
     if (options)
       this.fromOptions(options);
@@ -61,6 +78,38 @@ class PaymentACK {
     return new PaymentACK().fromOptions(options);
   }
 
+  /**
+   * Inject properties from a received payment.
+   * @private
+   * @param {Payment} payment
+   * @param {String?} memo
+   * @returns {PaymentACK}
+   */
+
+  fromPayment(payment, memo) {
+    assert(payment instanceof Payment);
+
+    this.payment = Payment.fromRaw(payment.toRaw());
+
+    if (memo != null) {
+      assert(typeof memo === 'string');
+      this.memo = memo;
+    }
+
+    return this;
+  }
+
+  /**
+   * Acknowledge a received payment.
+   * @param {Payment} payment
+   * @param {String?} memo
+   * @returns {PaymentACK}
+   */
+
+  static fromPayment(payment, memo) {
+    return new PaymentACK().fromPayment(payment, memo);
+  }
+
   /**
    * Inject properties from serialized data.
    * @private
@@ -69,11 +118,7 @@ class PaymentACK {
    */
 
   fromRaw(data) {
-    const br = new ProtoReader(data);
-
-    this.payment.fromRaw(br.readFieldBytes(1));
-    this.memo = br.readFieldString(2, true);
-
+    schema.read(data, this);
     return this;
   }
 
@@ -95,17 +140,79 @@ class PaymentACK {
    */
 
   toRaw() {
-    const bw = new ProtoWriter();
+    return schema.encode(this);
+  }
+
+  /**
+   * Convert the payment ack to an object suitable
+   * for JSON serialization.
+   * @param {Network?} network
+   * @returns {Object}
+   */
 
-    bw.writeFieldBytes(1, this.payment.toRaw());
+  getJSON(network) {
+    const out = {
+      payment: this.payment.getJSON(network),
+      memo: this.memo
+    };
 
-    if (this.memo != null)
-      bw.writeFieldString(2, this.memo);
+    if (this.unknown.length > 0)
+      out.unknown = unknownToJSON(this.unknown);
 
-    return bw.render();
+    return out;
+  }
+
+  /**
+   * Convert the payment ack to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from a jsonified object.
+   * @private
+   * @param {Object} json
+   * @param {Network?} network
+   * @returns {PaymentACK}
+   */
+
+  fromJSON(json, network) {
+    assert(json && typeof json === 'object', 'ACK must be an object.');
+
+    this.payment = Payment.fromJSON(json.payment, network);
+
+    if (json.memo != null) {
+      assert(typeof json.memo === 'string');
+      this.memo = json.memo;
+    }
+
+    this.unknown = unknownFromJSON(json.unknown);
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment ack from a jsonified object.
+   * @param {Object} json
+   * @param {Network?} network
+   * @returns {PaymentACK}
+   */
+
+  static fromJSON(json, network) {
+    return new PaymentACK().fromJSON(json, network);
   }
 }
 
+/*
+ * Static
+ */
+
+PaymentACK.schema = schema;
+
 /*
  * Expose
  */
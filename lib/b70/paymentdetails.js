@@ -7,11 +7,73 @@
 'use strict';
 
 const assert = require('bsert');
-const ProtoReader = require('./utils/protoreader');
-const ProtoWriter = require('./utils/protowriter');
+const {U64} = require('n64');
+const SLP = require('../script/slp');
+const ProtoSchema = require('./utils/protoschema');
+const {
+  getNetwork,
+  outputToJSON,
+  outputFromJSON,
+  dataToJSON,
+  dataFromJSON,
+  unknownToJSON,
+  unknownFromJSON,
+  fromHex
+} = require('./utils/json');
+
+/*
+ * Schema
+ */
+
+const outputSchema = new ProtoSchema([
+  {tag: 1, name: 'value', type: 'uint64', optional: true},
+  {tag: 2, name: 'script', type: 'bytes', optional: true},
+  {
+    tag: 3,
+    name: 'tokenAmount',
+    type: 'bytes',
+    optional: true,
+    decode: (data) => {
+      assert(data.length === 8, 'Invalid token amount.');
+      return U64.fromBE(data);
+    },
+    encode: amount => amount.toBE(Buffer)
+  }
+]);
+
+const schema = new ProtoSchema([
+  {tag: 1, name: 'network', type: 'string', optional: true},
+  {tag: 2, name: 'outputs', type: 'message', repeated: true,
+    schema: outputSchema},
+  {tag: 3, name: 'time', type: 'uint64'},
+  {tag: 4, name: 'expires', type: 'uint64', optional: true},
+  {tag: 5, name: 'memo', type: 'string', optional: true},
+  {tag: 6, name: 'paymentUrl', type: 'string', optional: true},
+  {tag: 7, name: 'merchantData', type: 'bytes', optional: true},
+  {
+    tag: 8,
+    name: 'tokenId',
+    type: 'bytes',
+    optional: true,
+    decode: (data) => {
+      assert(data.length === 32, 'Invalid token id.');
+      return data;
+    }
+  },
+  {tag: 9, name: 'tokenVersion', type: 'uint32', optional: true}
+]);
 
 /**
  * BIP70 Payment Details
+ *
+ * Token requests extend the message with optional
+ * fields which older wallets skip as unknown:
+ *
+ *   PaymentDetails:
+ *     optional bytes tokenId = 8;       // display order
+ *     optional uint32 tokenVersion = 9; // token type
+ *   Output:
+ *     optional bytes tokenAmount = 3;   // uint64 big endian
  */
 
 class PaymentDetails {
@@ -26,6 +88,9 @@ class PaymentDetails {
    * @property {String|null} memo
    * @property {String|null} paymentUrl
    * @property {Buffer|null} merchantData
+   * @property {Buffer|null} tokenId
+   * @property {Number} tokenVersion
+   * @property {UnknownField[]} unknown - Fields kept for re-encoding.
    */
 
   constructor(options) {
@@ -36,6 +101,9 @@ class PaymentDetails {
     this.memo = null;
     this.paymentUrl = null;
     this.merchantData = null;
+    this.tokenId = null;
+    this.tokenVersion = -1;
+    this.unknown = [];
 
     if (options)
       this.fromOptions(options);
@@ -56,10 +124,14 @@ class PaymentDetails {
 
     if (options.outputs) {
       assert(Array.isArray(options.outputs));
-      for (const output of options.outputs) {
+      for (let output of options.outputs) {
         assert(output && typeof output === 'object');
         assert(Number.isSafeInteger(output.value) && output.value >= 0);
         assert(Buffer.isBuffer(output.script));
+        if (output.tokenAmount != null) {
+          const tokenAmount = SLP.toU64(output.tokenAmount);
+          output = Object.assign({}, output, {tokenAmount});
+        }
         this.outputs.push(output);
       }
     }
@@ -87,6 +159,19 @@ class PaymentDetails {
     if (options.merchantData)
       this.setData(options.merchantData);
 
+    if (options.tokenId != null) {
+      let tokenId = options.tokenId;
+      if (typeof tokenId === 'string')
+        tokenId = Buffer.from(tokenId, 'hex');
+      assert(Buffer.isBuffer(tokenId) && tokenId.length === 32);
+      this.tokenId = tokenId;
+    }
+
+    if (options.tokenVersion != null) {
+      assert((options.tokenVersion & 0xff) === options.tokenVersion);
+      this.tokenVersion = options.tokenVersion;
+    }
+
     return this;
   }
 
@@ -102,13 +187,71 @@ class PaymentDetails {
 
   /**
    * Test whether the payment is expired.
+   * @param {Number?} now - Unix time (defaults to the clock).
    * @returns {Boolean}
    */
 
-  isExpired() {
+  isExpired(now) {
     if (this.expires === -1)
       return false;
-    return Math.floor(Date.now() / 1000) > this.expires;
+
+    if (now == null)
+      now = Math.floor(Date.now() / 1000);
+
+    return now > this.expires;
+  }
+
+  /**
+   * Test whether the request asks for tokens.
+   * @returns {Boolean}
+   */
+
+  isTokenRequest() {
+    return this.tokenId != null;
+  }
+
+  /**
+   * Get the token type of a token request
+   * (defaults to type 1).
+   * @returns {Number}
+   */
+
+  getTokenVersion() {
+    if (this.tokenVersion === -1)
+      return 1;
+    return this.tokenVersion;
+  }
+
+  /**
+   * Get the token amounts requested per output.
+   * @returns {U64[]}
+   */
+
+  getTokenAmounts() {
+    const amounts = [];
+
+    for (const output of this.outputs)
+      amounts.push(output.tokenAmount || U64.fromInt(0));
+
+    return amounts;
+  }
+
+  /**
+   * Get the total token amount requested.
+   * @returns {U64}
+   */
+
+  getTokenAmount() {
+    const total = U64.fromInt(0);
+
+    for (const output of this.outputs) {
+      if (!output.tokenAmount)
+        continue;
+      total.iadd(output.tokenAmount);
+      assert(total.gte(output.tokenAmount), 'Token amount overflow.');
+    }
+
+    return total;
   }
 
   /**
@@ -168,25 +311,7 @@ class PaymentDetails {
    */
 
   fromRaw(data) {
-    const br = new ProtoReader(data);
-
-    this.network = br.readFieldString(1, true);
-
-    while (br.nextTag() === 2) {
-      const op = new ProtoReader(br.readFieldBytes(2));
-      const output = {
-        value: op.readFieldU64(1, true),
-        script: op.readFieldBytes(2, true)
-      };
-      this.outputs.push(output);
-    }
-
-    this.time = br.readFieldU64(3);
-    this.expires = br.readFieldU64(4, true);
-    this.memo = br.readFieldString(5, true);
-    this.paymentUrl = br.readFieldString(6, true);
-    this.merchantData = br.readFieldBytes(7, true);
-
+    schema.read(data, this);
     return this;
   }
 
@@ -208,36 +333,121 @@ class PaymentDetails {
    */
 
   toRaw() {
-    const bw = new ProtoWriter();
+    return schema.encode(this);
+  }
 
-    if (this.network != null)
-      bw.writeFieldString(1, this.network);
+  /**
+   * Convert the payment details to an object suitable
+   * for JSON serialization. Values are in XEC.
+   * @param {Network?} network - Defaults to the details' network.
+   * @returns {Object}
+   */
 
-    for (const output of this.outputs) {
-      const op = new ProtoWriter();
-      op.writeFieldU64(1, output.value);
-      op.writeFieldBytes(2, output.script);
-      bw.writeFieldBytes(2, op.render());
+  getJSON(network) {
+    network = getNetwork(network, this.network);
+
+    const out = {
+      network: this.network,
+      outputs: this.outputs.map(output => outputToJSON(output, network)),
+      time: this.time,
+      expires: this.expires,
+      memo: this.memo,
+      paymentUrl: this.paymentUrl,
+      merchantData: dataToJSON(this.merchantData),
+      tokenId: this.tokenId ? this.tokenId.toString('hex') : null,
+      tokenVersion: this.tokenVersion
+    };
+
+    if (this.unknown.length > 0)
+      out.unknown = unknownToJSON(this.unknown);
+
+    return out;
+  }
+
+  /**
+   * Convert the payment details to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from a jsonified object.
+   * @private
+   * @param {Object} json
+   * @param {Network?} network - For outputs given by address.
+   * @returns {PaymentDetails}
+   */
+
+  fromJSON(json, network) {
+    assert(json && typeof json === 'object', 'Details must be an object.');
+    assert(Array.isArray(json.outputs), 'Outputs must be an array.');
+    assert(Number.isSafeInteger(json.time), 'Time must be an integer.');
+
+    network = getNetwork(network, json.network);
+
+    if (json.network != null) {
+      assert(typeof json.network === 'string');
+      this.network = json.network;
+    }
+
+    this.outputs = json.outputs.map(item => outputFromJSON(item, network));
+    this.time = json.time;
+
+    if (json.expires != null) {
+      assert(Number.isSafeInteger(json.expires));
+      this.expires = json.expires;
     }
 
-    bw.writeFieldU64(3, this.time);
+    if (json.memo != null) {
+      assert(typeof json.memo === 'string');
+      this.memo = json.memo;
+    }
+
+    if (json.paymentUrl != null) {
+      assert(typeof json.paymentUrl === 'string');
+      this.paymentUrl = json.paymentUrl;
+    }
+
+    this.merchantData = dataFromJSON(json.merchantData);
+    this.tokenId = fromHex(json.tokenId);
+
+    if (this.tokenId)
+      assert(this.tokenId.length === 32, 'Invalid token id.');
 
-    if (this.expires !== -1)
-      bw.writeFieldU64(4, this.expires);
+    if (json.tokenVersion != null) {
+      assert((json.tokenVersion >>> 0) === json.tokenVersion
+        || json.tokenVersion === -1);
+      this.tokenVersion = json.tokenVersion;
+    }
 
-    if (this.memo != null)
-      bw.writeFieldString(5, this.memo);
+    this.unknown = unknownFromJSON(json.unknown);
 
-    if (this.paymentUrl != null)
-      bw.writeFieldString(6, this.paymentUrl);
+    return this;
+  }
 
-    if (this.merchantData)
-      bw.writeFieldString(7, this.merchantData);
+  /**
+   * Instantiate payment details from a jsonified object.
+   * @param {Object} json
+   * @param {Network?} network
+   * @returns {PaymentDetails}
+   */
 
-    return bw.render();
+  static fromJSON(json, network) {
+    return new PaymentDetails().fromJSON(json, network);
   }
 }
 
+/*
+ * Static
+ */
+
+PaymentDetails.schema = schema;
+PaymentDetails.outputSchema = outputSchema;
+
 /*
  * Expose
  */
@@ -9,8 +9,25 @@
 const assert = require('bsert');
 const ProtoReader = require('./utils/protoreader');
 const ProtoWriter = require('./utils/protowriter');
+const ProtoSchema = require('./utils/protoschema');
+const Address = require('../primitives/address');
+const hash160 = require('../bcrypto/hash160');
 const PaymentDetails = require('./paymentdetails');
+const merchantkey = require('./merchantkey');
 const x509 = require('./x509');
+const {unknownToJSON, unknownFromJSON, fromHex} = require('./utils/json');
+
+/*
+ * Schema
+ */
+
+const schema = new ProtoSchema([
+  {tag: 1, name: 'version', type: 'uint32', optional: true},
+  {tag: 2, name: 'pkiType', type: 'string', optional: true},
+  {tag: 3, name: 'pkiData', type: 'bytes', optional: true},
+  {tag: 4, name: 'serializedPaymentDetails', type: 'bytes'},
+  {tag: 5, name: 'signature', type: 'bytes', optional: true}
+]);
 
 /**
  * BIP70 Payment Request
@@ -25,7 +42,10 @@ class PaymentRequest {
    * @property {String|null} pkiType
    * @property {Buffer|null} pkiData
    * @property {PaymentDetails} paymentDetails
+   * @property {Buffer|null} serializedPaymentDetails - Details
+   * as received, signed and verified over byte for byte.
    * @property {Buffer|null} signature
+   * @property {UnknownField[]} unknown - Fields kept for re-encoding.
    */
 
   constructor(options) {
@@ -33,7 +53,9 @@ class PaymentRequest {
     this.pkiType = null;
     this.pkiData = null;
     this.paymentDetails = new PaymentDetails();
+    this.serializedPaymentDetails = null;
     this.signature = null;
+    this.unknown = [];
 
     if (options)
       this.fromOptions(options);
@@ -94,14 +116,8 @@ class PaymentRequest {
    */
 
   fromRaw(data) {
-    const br = new ProtoReader(data);
-
-    this.version = br.readFieldU32(1, true);
-    this.pkiType = br.readFieldString(2, true);
-    this.pkiData = br.readFieldBytes(3, true);
-    this.paymentDetails.fromRaw(br.readFieldBytes(4));
-    this.signature = br.readFieldBytes(5, true);
-
+    schema.read(data, this);
+    this.paymentDetails = PaymentDetails.fromRaw(this.serializedPaymentDetails);
     return this;
   }
 
@@ -123,23 +139,105 @@ class PaymentRequest {
    */
 
   toRaw() {
-    const bw = new ProtoWriter();
+    this.serializedPaymentDetails = this.getDetailsRaw();
+    return schema.encode(this);
+  }
 
-    if (this.version !== -1)
-      bw.writeFieldU32(1, this.version);
+  /**
+   * Get the serialized payment details. The bytes as
+   * received are kept while the decoded details are
+   * unchanged, so requests signed over a non-canonical
+   * encoding (e.g. reordered fields) still verify.
+   * @returns {Buffer}
+   */
 
-    if (this.pkiType != null)
-      bw.writeFieldString(2, this.pkiType);
+  getDetailsRaw() {
+    const raw = this.paymentDetails.toRaw();
+    const orig = this.serializedPaymentDetails;
 
-    if (this.pkiData)
-      bw.writeFieldBytes(3, this.pkiData);
+    if (orig && PaymentDetails.fromRaw(orig).toRaw().equals(raw))
+      return orig;
 
-    bw.writeFieldBytes(4, this.paymentDetails.toRaw());
+    return raw;
+  }
 
-    if (this.signature)
-      bw.writeFieldBytes(5, this.signature);
+  /**
+   * Convert the payment request to an object
+   * suitable for JSON serialization.
+   * @param {Network?} network - Defaults to the details' network.
+   * @returns {Object}
+   */
+
+  getJSON(network) {
+    const out = {
+      version: this.version,
+      pkiType: this.pkiType,
+      pkiData: this.pkiData ? this.pkiData.toString('hex') : null,
+      paymentDetails: this.paymentDetails.getJSON(network),
+      signature: this.signature ? this.signature.toString('hex') : null
+    };
+
+    const raw = this.getDetailsRaw();
+
+    // Only needed when the signed bytes are non-canonical.
+    if (!raw.equals(this.paymentDetails.toRaw()))
+      out.serializedPaymentDetails = raw.toString('hex');
+
+    if (this.unknown.length > 0)
+      out.unknown = unknownToJSON(this.unknown);
+
+    return out;
+  }
+
+  /**
+   * Convert the payment request to an object
+   * suitable for JSON serialization.
+   * @returns {Object}
+   */
 
-    return bw.render();
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Inject properties from a jsonified object.
+   * @private
+   * @param {Object} json
+   * @param {Network?} network
+   * @returns {PaymentRequest}
+   */
+
+  fromJSON(json, network) {
+    assert(json && typeof json === 'object', 'Request must be an object.');
+
+    if (json.version != null) {
+      assert((json.version | 0) === json.version);
+      this.version = json.version;
+    }
+
+    if (json.pkiType != null) {
+      assert(typeof json.pkiType === 'string');
+      this.pkiType = json.pkiType;
+    }
+
+    this.pkiData = fromHex(json.pkiData);
+    this.paymentDetails = PaymentDetails.fromJSON(json.paymentDetails, network);
+    this.serializedPaymentDetails = fromHex(json.serializedPaymentDetails);
+    this.signature = fromHex(json.signature);
+    this.unknown = unknownFromJSON(json.unknown);
+
+    return this;
+  }
+
+  /**
+   * Instantiate a payment request from a jsonified object.
+   * @param {Object} json
+   * @param {Network?} network
+   * @returns {PaymentRequest}
+   */
+
+  static fromJSON(json, network) {
+    return new PaymentRequest().fromJSON(json, network);
   }
 
   /**
@@ -156,9 +254,12 @@ class PaymentRequest {
     if (parts.length !== 2)
       throw new Error('Could not parse PKI algorithm.');
 
-    if (parts[0] !== 'x509')
+    if (parts[0] !== 'x509' && parts[0] !== 'ecash')
       throw new Error(`Unknown PKI type: ${parts[0]}.`);
 
+    if (parts[0] === 'ecash' && parts[1] !== 'sha256')
+      throw new Error(`Unknown hash algorithm: ${parts[1]}.`);
+
     if (parts[1] !== 'sha1' && parts[1] !== 'sha256')
       throw new Error(`Unknown hash algorithm: ${parts[1]}.`);
 
@@ -233,6 +334,9 @@ class PaymentRequest {
       this.pkiType = 'x509+sha256';
 
     const alg = this.getAlgorithm();
+
+    x509.checkHash(alg.hash, this.pkiType);
+
     const msg = this.signatureData();
     const chain = this.getChain();
 
@@ -240,11 +344,80 @@ class PaymentRequest {
   }
 
   /**
-   * Verify payment request signature.
+   * Sign payment request with a merchant key
+   * (pkiType `ecash+sha256`, no certificate).
+   * @param {KeyRing} ring
+   * @param {Object?} options
+   * @param {Boolean?} options.address - Publish the key hash only.
+   * @param {Boolean?} options.schnorr - Sign with Schnorr (default).
+   */
+
+  signKey(ring, options = {}) {
+    this.pkiType = 'ecash+sha256';
+    this.pkiData = merchantkey.getData(ring, options.address);
+
+    const msg = this.signatureData();
+
+    this.signature = merchantkey.sign(msg, ring, options);
+  }
+
+  /**
+   * Get the public key of a merchant key signature.
+   * @returns {Buffer|null}
+   */
+
+  getSigner() {
+    if (this.pkiType !== 'ecash+sha256')
+      return null;
+
+    if (!this.pkiData || !this.signature)
+      return null;
+
+    const msg = this.signatureData();
+
+    try {
+      return merchantkey.getSigner(msg, this.signature, this.pkiData);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify a merchant key signature against
+   * a pinned merchant address.
+   * @param {Address|String} addr
+   * @param {(Network|NetworkType)?} network
    * @returns {Boolean}
    */
 
-  verify() {
+  verifyAddress(addr, network) {
+    if (typeof addr === 'string')
+      addr = Address.fromString(addr, network);
+
+    assert(addr instanceof Address);
+
+    if (!addr.isPubkeyhash())
+      return false;
+
+    const key = this.getSigner();
+
+    if (!key)
+      return false;
+
+    return hash160.digest(key).equals(addr.getHash());
+  }
+
+  /**
+   * Verify payment request signature. Merchant key
+   * signatures carry their own key, so they never
+   * verify here: use {@link PaymentRequest#verifyAddress}
+   * with the pinned merchant address instead.
+   * @param {TrustStore?} store - Supplies the SHA-1 policy.
+   * @returns {Boolean}
+   * @throws {Error} If the SHA-1 policy rejects the request.
+   */
+
+  verify(store) {
     if (!this.pkiType || this.pkiType === 'none')
       return false;
 
@@ -258,6 +431,14 @@ class PaymentRequest {
       return false;
     }
 
+    if (alg.key === 'ecash')
+      return false;
+
+    if (store)
+      store.checkHash(alg.hash, this.pkiType);
+    else
+      x509.checkHash(alg.hash, this.pkiType);
+
     const msg = this.signatureData();
     const sig = this.signature;
     const chain = this.getChain();
@@ -271,27 +452,46 @@ class PaymentRequest {
 
   /**
    * Verify x509 certificate chain.
+   * @param {String?} name - Merchant domain the leaf must name.
+   * @param {TrustStore?} store - Defaults to the global trust.
+   * @param {Number?} now - Unix time (defaults to the clock).
    * @returns {Boolean}
    */
 
-  verifyChain() {
-    if (!this.pkiType || this.pkiType === 'none')
-      return false;
+  verifyChain(name, store, now) {
+    return this.getChainError(name, store, now) == null;
+  }
+
+  /**
+   * Get the reason an x509 certificate chain
+   * fails to verify.
+   * @param {String?} name - Merchant domain the leaf must name.
+   * @param {TrustStore?} store - Defaults to the global trust.
+   * @param {Number?} now - Unix time (defaults to the clock).
+   * @returns {Error|null}
+   */
+
+  getChainError(name, store, now) {
+    if (!this.pkiType || !this.pkiType.startsWith('x509+'))
+      return new Error('No certificate chain (pkiType).');
 
     try {
-      return x509.verifyChain(this.getChain());
+      x509.verifyChain(this.getChain(), name, store, now);
     } catch (e) {
-      return false;
+      return e;
     }
+
+    return null;
   }
 
   /**
    * Get root certificate authority.
+   * @param {TrustStore?} store - Defaults to the global trust.
    * @returns {Object|null}
    */
 
-  getCA() {
-    if (!this.pkiType || this.pkiType === 'none')
+  getCA(store) {
+    if (!this.pkiType || !this.pkiType.startsWith('x509+'))
       throw new Error('No CA found (pkiType).');
 
     const chain = this.getChain();
@@ -301,7 +501,7 @@ class PaymentRequest {
 
     const root = x509.parse(chain[chain.length - 1]);
 
-    return new CA(root);
+    return new CA(root, store);
   }
 }
 
@@ -333,13 +533,19 @@ class CA {
    * @ignore
    */
 
-  constructor(root) {
+  constructor(root, store) {
     this.name = x509.getCAName(root);
-    this.trusted = x509.isTrusted(root);
+    this.trusted = store ? store.isTrusted(root) : x509.isTrusted(root);
     this.cert = root;
   }
 }
 
+/*
+ * Static
+ */
+
+PaymentRequest.schema = schema;
+
 /*
  * Expose
  */
@@ -0,0 +1,358 @@
+/*!
+ * paymentvalidator.js - bip70 payment validation for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const {BufferMap} = require('buffer-map');
+const TX = require('../primitives/tx');
+const policy = require('../protocol/policy');
+const slpvalidator = require('../script/slpvalidator');
+
+/**
+ * @exports b70/paymentvalidator
+ */
+
+const validator = exports;
+
+/*
+ * Constants
+ */
+
+// Record types which deliver tokens to an output.
+const types = new Set(['GENESIS', 'MINT', 'SEND']);
+
+/**
+ * Payment Shortfall
+ * A requested output the payment does not cover.
+ * @alias module:b70.PaymentShortfall
+ * @property {Number} index - Index in `PaymentDetails.outputs`.
+ * @property {Buffer|null} script - Requested output script.
+ * @property {Number} value - Requested value.
+ * @property {Number} paid - Value paid towards it.
+ * @property {U64|null} tokenAmount - Requested token amount.
+ * @property {U64|null} tokenPaid - Token amount paid towards it.
+ * @property {Boolean} found - Whether the script was paid to at all.
+ */
+
+class PaymentShortfall {
+  /**
+   * Create a shortfall.
+   * @constructor
+   * @param {Number} index
+   * @param {Object} output
+   */
+
+  constructor(index, output) {
+    this.index = index;
+    this.script = output.script;
+    this.value = output.value;
+    this.paid = 0;
+    this.tokenAmount = output.tokenAmount || null;
+    this.tokenPaid = null;
+    this.found = false;
+  }
+
+  /**
+   * Test whether the output is missing entirely.
+   * @returns {Boolean}
+   */
+
+  isMissing() {
+    return !this.found;
+  }
+
+  /**
+   * Convert the shortfall to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      index: this.index,
+      script: this.script ? this.script.toString('hex') : null,
+      value: this.value,
+      paid: this.paid,
+      tokenAmount: this.tokenAmount ? this.tokenAmount.toString(10) : null,
+      tokenPaid: this.tokenPaid ? this.tokenPaid.toString(10) : null,
+      missing: this.isMissing()
+    };
+  }
+
+  /**
+   * Convert the shortfall to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+}
+
+/**
+ * Payment Verdict
+ * Result of checking a payment against its details.
+ * @alias module:b70.PaymentVerdict
+ * @property {Boolean} valid
+ * @property {String|null} reason - Rejection reason.
+ * @property {TX[]} txs - Decoded transactions.
+ * @property {Number} fee - Total fee (-1 if unknown).
+ * @property {Number} rate - Fee rate (-1 if unknown).
+ * @property {PaymentShortfall[]} shortfalls
+ */
+
+class PaymentVerdict {
+  /**
+   * Create a verdict.
+   * @constructor
+   */
+
+  constructor() {
+    this.valid = true;
+    this.reason = null;
+    this.txs = [];
+    this.fee = -1;
+    this.rate = -1;
+    this.shortfalls = [];
+  }
+
+  /**
+   * Mark the payment as invalid.
+   * @private
+   * @param {String} reason
+   * @returns {PaymentVerdict}
+   */
+
+  reject(reason) {
+    assert(typeof reason === 'string');
+    this.valid = false;
+    this.reason = reason;
+    return this;
+  }
+
+  /**
+   * Convert the verdict to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      valid: this.valid,
+      reason: this.reason,
+      txs: this.txs.map(tx => tx.txid()),
+      fee: this.fee,
+      rate: this.rate,
+      shortfalls: this.shortfalls.map(item => item.getJSON())
+    };
+  }
+
+  /**
+   * Convert the verdict to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+}
+
+/**
+ * Check a payment against the details it answers.
+ * The fee rate and tokens can only be checked when
+ * the coins spent by the payment are supplied in a
+ * view. Without one the payment is rejected, unless
+ * the fee check is explicitly turned off.
+ * @param {Payment} payment
+ * @param {PaymentDetails} details
+ * @param {Object?} options
+ * @param {Number?} options.now - Unix time (defaults to the clock).
+ * @param {CoinView?} options.view - Coins spent by the payment.
+ * @param {Rate?} options.rate - Minimum rate (defaults to the relay rate).
+ * @param {Boolean?} options.fee - Check the fee rate (default).
+ * @param {Boolean?} options.tokens - Check requested token amounts.
+ * @returns {PaymentVerdict}
+ */
+
+validator.verifyPayment = function verifyPayment(payment, details, options) {
+  if (!options)
+    options = {};
+
+  assert(payment && details);
+
+  const verdict = new PaymentVerdict();
+
+  if (details.isExpired(options.now))
+    return verdict.reject('expired');
+
+  if (payment.transactions.length === 0)
+    return verdict.reject('no-transactions');
+
+  for (const raw of payment.transactions) {
+    let tx;
+    try {
+      tx = TX.fromRaw(raw);
+    } catch (e) {
+      return verdict.reject('bad-transaction');
+    }
+    verdict.txs.push(tx);
+  }
+
+  const checkFee = options.fee !== false;
+  const checkTokens = options.tokens === true && details.isTokenRequest();
+
+  if (!options.view && (checkFee || options.tokens === true))
+    return verdict.reject('missing-view');
+
+  if (checkFee) {
+    const rate = options.rate != null ? options.rate : policy.MIN_RELAY;
+
+    let fee = 0;
+    let size = 0;
+
+    for (const tx of verdict.txs) {
+      if (!tx.hasCoins(options.view))
+        return verdict.reject('missing-inputs');
+      fee += tx.getFee(options.view);
+      size += tx.getSize();
+    }
+
+    verdict.fee = fee;
+    verdict.rate = policy.getRate(size, Math.max(fee, 0));
+
+    if (fee < policy.getMinFee(size, rate))
+      return verdict.reject('insufficient-fee');
+  }
+
+  if (checkTokens) {
+    const reason = verifyTokens(verdict.txs, details, options.view);
+    if (reason)
+      return verdict.reject(reason);
+  }
+
+  verdict.shortfalls = getShortfalls(verdict.txs, details, checkTokens);
+
+  if (verdict.shortfalls.length > 0)
+    return verdict.reject('missing-outputs');
+
+  return verdict;
+};
+
+/*
+ * Helpers
+ */
+
+function verifyTokens(txs, details, view) {
+  for (const tx of txs) {
+    if (getTokens(tx, details).size === 0)
+      continue;
+
+    if (!slpvalidator.verifyTX(tx, view).valid)
+      return 'invalid-token';
+  }
+
+  return null;
+}
+
+function getTokens(tx, details) {
+  const slp = slpvalidator.getTokenScript(tx);
+  const tokens = new Map();
+
+  if (!slp)
+    return tokens;
+
+  const txid = Buffer.from(tx.hash()).reverse();
+
+  // Only records of the output 0 script move tokens,
+  // and only once the transaction has been verified.
+  for (const record of slp.getRecords(txid)) {
+    if (!isRequested(record, details))
+      continue;
+
+    tokens.set(record.vout, U64.fromBE(record.getValueUInt64BE()));
+  }
+
+  return tokens;
+}
+
+function isRequested(record, details) {
+  if (!types.has(record.type))
+    return false;
+
+  if (record.version !== details.getTokenVersion())
+    return false;
+
+  return record.tokenId.equals(details.tokenId);
+}
+
+function getShortfalls(txs, details, checkTokens) {
+  const paid = new BufferMap();
+
+  for (const tx of txs) {
+    const tokens = checkTokens ? getTokens(tx, details) : null;
+
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const output = tx.outputs[i];
+      const script = output.script.toRaw();
+
+      let item = paid.get(script);
+
+      if (!item) {
+        item = {value: 0, tokens: new U64(0)};
+        paid.set(script, item);
+      }
+
+      item.value += output.value;
+
+      if (tokens && tokens.has(i))
+        item.tokens.iadd(tokens.get(i));
+    }
+  }
+
+  const shortfalls = [];
+
+  for (let i = 0; i < details.outputs.length; i++) {
+    const output = details.outputs[i];
+    const item = output.script ? paid.get(output.script) : null;
+    const shortfall = new PaymentShortfall(i, output);
+
+    if (!item) {
+      shortfalls.push(shortfall);
+      continue;
+    }
+
+    // Outputs to the same script draw on one pool.
+    shortfall.found = true;
+    shortfall.paid = Math.min(item.value, output.value);
+    item.value -= shortfall.paid;
+
+    let short = shortfall.paid < output.value;
+
+    if (checkTokens && output.tokenAmount) {
+      const tokens = U64.min(item.tokens, output.tokenAmount).clone();
+      shortfall.tokenPaid = tokens;
+      item.tokens.isub(tokens);
+      if (tokens.lt(output.tokenAmount))
+        short = true;
+    }
+
+    if (short)
+      shortfalls.push(shortfall);
+  }
+
+  return shortfalls;
+}
+
+/*
+ * Expose
+ */
+
+validator.PaymentShortfall = PaymentShortfall;
+validator.PaymentVerdict = PaymentVerdict;
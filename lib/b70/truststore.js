@@ -0,0 +1,293 @@
+/*!
+ * truststore.js - x509 trust roots for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const sha256 = require('../bcrypto/sha256');
+const x509 = require('./x509');
+const certs = require('./certs');
+
+/*
+ * Constants
+ */
+
+const PEM_CERT =
+  /-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/g;
+
+const policies = new Set(['accept', 'warn', 'reject']);
+const crlPolicies = new Set(['soft', 'hard']);
+
+/**
+ * Trust Store
+ * Trusted root fingerprints and trust policy, passed per
+ * call instead of the module-global `x509.trusted`,
+ * `x509.allowUntrusted`, `x509.sha1Policy` and CRL settings.
+ * None of the globals are consulted when a store is used.
+ * @alias module:b70.TrustStore
+ * @property {Set} fingerprints - Hex sha256 of trusted DER certs.
+ * @property {Boolean} allowUntrusted
+ * @property {String} sha1Policy - `accept`, `warn` or `reject`.
+ * @property {Function} onWarning - Called with a message when a
+ * SHA-1 signature is accepted under `warn`.
+ * @property {Function|null} getCRL - See `x509.getCRL`.
+ * @property {String} staleCRL - `soft` or `hard`.
+ */
+
+class TrustStore {
+  /**
+   * Create a trust store.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.fingerprints = new Set();
+    this.allowUntrusted = false;
+    this.sha1Policy = TrustStore.SHA1_POLICY;
+    this.onWarning = noop;
+    this.getCRL = null;
+    this.staleCRL = 'soft';
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @param {Boolean?} options.defaults - Add the bundled roots.
+   * @param {String?} options.pem - PEM bundle.
+   * @param {Buffer[]?} options.certs - DER certs.
+   * @param {Array?} options.fingerprints
+   * @param {Boolean?} options.allowUntrusted
+   * @param {String?} options.sha1Policy
+   * @param {Function?} options.onWarning
+   * @param {Function?} options.getCRL - (cert, issuer) -> CRL|null.
+   * @param {String?} options.staleCRL
+   * @returns {TrustStore}
+   */
+
+  fromOptions(options) {
+    assert(options, 'Trust store options are required.');
+
+    if (options.defaults)
+      this.addDefaults();
+
+    if (options.pem != null)
+      this.addPEM(options.pem);
+
+    if (options.certs) {
+      assert(Array.isArray(options.certs), 'Certs must be an array.');
+      for (const cert of options.certs)
+        this.addCert(cert);
+    }
+
+    if (options.fingerprints) {
+      assert(Array.isArray(options.fingerprints),
+        'Fingerprints must be an array.');
+      for (const hash of options.fingerprints)
+        this.addFingerprint(hash);
+    }
+
+    if (options.allowUntrusted != null) {
+      assert(typeof options.allowUntrusted === 'boolean');
+      this.allowUntrusted = options.allowUntrusted;
+    }
+
+    if (options.sha1Policy != null) {
+      assert(policies.has(options.sha1Policy), 'Unknown SHA-1 policy.');
+      this.sha1Policy = options.sha1Policy;
+    }
+
+    if (options.onWarning != null) {
+      assert(typeof options.onWarning === 'function');
+      this.onWarning = options.onWarning;
+    }
+
+    if (options.getCRL != null) {
+      assert(typeof options.getCRL === 'function');
+      this.getCRL = options.getCRL;
+    }
+
+    if (options.staleCRL != null) {
+      assert(crlPolicies.has(options.staleCRL), 'Unknown CRL policy.');
+      this.staleCRL = options.staleCRL;
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a trust store from options.
+   * @param {Object} options
+   * @returns {TrustStore}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Instantiate a trust store from a PEM bundle.
+   * @param {String|Buffer} pem
+   * @returns {TrustStore}
+   */
+
+  static fromPEM(pem) {
+    return new this().fromOptions({pem});
+  }
+
+  /**
+   * Number of trusted roots.
+   * @returns {Number}
+   */
+
+  get size() {
+    return this.fingerprints.size;
+  }
+
+  /**
+   * Add the roots bundled in `certs.js`.
+   * @returns {TrustStore}
+   */
+
+  addDefaults() {
+    for (const hash of certs)
+      this.addFingerprint(hash);
+    return this;
+  }
+
+  /**
+   * Add a DER certificate.
+   * @param {Buffer} raw
+   * @returns {TrustStore}
+   */
+
+  addCert(raw) {
+    assert(Buffer.isBuffer(raw), 'Certificates must be DER.');
+
+    const cert = x509.parse(raw);
+
+    this.fingerprints.add(sha256.digest(cert.raw).toString('hex'));
+
+    return this;
+  }
+
+  /**
+   * Add every certificate of a PEM bundle
+   * (other blocks are ignored).
+   * @param {String|Buffer} pem
+   * @returns {Number} Certificates added.
+   */
+
+  addPEM(pem) {
+    if (Buffer.isBuffer(pem))
+      pem = pem.toString('ascii');
+
+    assert(typeof pem === 'string', 'PEM must be a string.');
+
+    let count = 0;
+    let match;
+
+    PEM_CERT.lastIndex = 0;
+
+    while ((match = PEM_CERT.exec(pem)) !== null) {
+      this.addCert(Buffer.from(match[1], 'base64'));
+      count += 1;
+    }
+
+    return count;
+  }
+
+  /**
+   * Add a sha256 fingerprint.
+   * @param {Buffer|String} hash
+   * @returns {TrustStore}
+   */
+
+  addFingerprint(hash) {
+    if (typeof hash === 'string')
+      hash = Buffer.from(hash.replace(/:/g, ''), 'hex');
+
+    assert(Buffer.isBuffer(hash), 'Fingerprint must be a buffer.');
+    assert(hash.length === 32, 'Fingerprint must be a sha256 hash.');
+
+    this.fingerprints.add(hash.toString('hex'));
+
+    return this;
+  }
+
+  /**
+   * Test whether a parsed certificate is trusted.
+   * @param {Object} cert
+   * @returns {Boolean}
+   */
+
+  isTrusted(cert) {
+    const hash = sha256.digest(cert.raw).toString('hex');
+    return this.fingerprints.has(hash);
+  }
+
+  /**
+   * Verify that a parsed chain reaches a trusted cert.
+   * @param {Object[]} chain
+   * @returns {Boolean}
+   */
+
+  verifyTrust(chain) {
+    if (this.allowUntrusted)
+      return true;
+
+    for (const cert of chain) {
+      if (this.isTrusted(cert))
+        return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the SHA-1 policy in effect.
+   * @returns {String}
+   */
+
+  getSha1Policy() {
+    return this.sha1Policy;
+  }
+
+  /**
+   * Apply the store's SHA-1 policy to a signature hash.
+   * @param {String} hash - Hash algorithm.
+   * @param {String} what - Signed object (for messages).
+   * @throws {Error} If the policy rejects the hash.
+   */
+
+  checkHash(hash, what) {
+    x509.checkHash(hash, what, this.sha1Policy, this.onWarning);
+  }
+}
+
+/**
+ * Default SHA-1 policy of a store.
+ * @const {String}
+ * @default
+ */
+
+TrustStore.SHA1_POLICY = 'reject';
+
+/*
+ * Helpers
+ */
+
+function noop() {}
+
+/*
+ * Expose
+ */
+
+module.exports = TrustStore;
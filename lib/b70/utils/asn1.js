@@ -97,6 +97,19 @@ ASN1.readSize = function readSize(br, primitive) {
   return size;
 };
 
+/**
+ * Read the next tag without consuming it.
+ * @param {BufferReader} br
+ * @returns {Object}
+ */
+
+ASN1.peekTag = function peekTag(br) {
+  const offset = br.offset;
+  const tag = ASN1.readTag(br);
+  br.offset = offset;
+  return tag;
+};
+
 /**
  * Read implicit SEQ.
  * @param {BufferReader} br
@@ -303,6 +316,207 @@ ASN1.readTBS = function readTBS(br) {
     validity: ASN1.readValidity(br),
     subject: ASN1.readName(br),
     pubkey: ASN1.readPubkey(br),
+    extensions: ASN1.readExtensions(br),
+    raw: buf.endData(true)
+  };
+};
+
+/**
+ * Read the optional tail of a TBS certificate
+ * (unique ids and [3] extensions).
+ * @param {BufferReader} br
+ * @returns {Object[]}
+ */
+
+ASN1.readExtensions = function readExtensions(br) {
+  const values = [];
+
+  while (br.left()) {
+    const tag = ASN1.readTag(br);
+
+    // Skip issuer and subject unique ids.
+    if (tag.type !== 0x03) {
+      br.seek(tag.size);
+      continue;
+    }
+
+    const seq = ASN1.seq(br);
+
+    while (seq.left()) {
+      const ext = ASN1.seq(seq);
+      const id = ASN1.readOID(ext);
+
+      let critical = false;
+
+      if (ASN1.explicit(ext, 0x01))
+        critical = ext.readU8() !== 0;
+
+      const octstr = ASN1.implicit(ext, 0x04);
+
+      values.push({
+        id: id,
+        critical: critical,
+        value: ext.readBytes(octstr.size)
+      });
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Read basic constraints (2.5.29.19) from buffer.
+ * @param {Buffer} data
+ * @returns {Object}
+ */
+
+ASN1.parseBasicConstraints = function parseBasicConstraints(data) {
+  const br = ASN1.seq(bio.read(data, true));
+
+  let ca = false;
+
+  if (br.left() && ASN1.explicit(br, 0x01))
+    ca = br.readU8() !== 0;
+
+  let pathLen = -1;
+
+  if (br.left())
+    pathLen = ASN1.readInt(br, true);
+
+  return {
+    ca: ca,
+    pathLen: pathLen
+  };
+};
+
+/**
+ * Read key usage (2.5.29.15) from buffer.
+ * Bit 0 (digitalSignature) is the first bit.
+ * @param {Buffer} data
+ * @returns {Number[]} Set bits.
+ */
+
+ASN1.parseKeyUsage = function parseKeyUsage(data) {
+  const br = bio.read(data, true);
+  const tag = ASN1.implicit(br, 0x03);
+  const str = br.readBytes(tag.size);
+  const bits = [];
+
+  for (let i = 0; i < (str.length - 1) * 8; i++) {
+    if (str[1 + (i >>> 3)] & (0x80 >>> (i & 7)))
+      bits.push(i);
+  }
+
+  return bits;
+};
+
+/**
+ * Read extended key usage (2.5.29.37) from buffer.
+ * @param {Buffer} data
+ * @returns {String[]} Purpose OIDs.
+ */
+
+ASN1.parseExtKeyUsage = function parseExtKeyUsage(data) {
+  const br = ASN1.seq(bio.read(data, true));
+  const oids = [];
+
+  while (br.left())
+    oids.push(ASN1.readOID(br));
+
+  return oids;
+};
+
+/**
+ * Read the DNS names of a subject
+ * alt name (2.5.29.17) from buffer.
+ * @param {Buffer} data
+ * @returns {String[]}
+ */
+
+ASN1.parseAltNames = function parseAltNames(data) {
+  const br = ASN1.seq(bio.read(data, true));
+  const names = [];
+
+  while (br.left()) {
+    const tag = ASN1.readTag(br);
+    const value = br.readBytes(tag.size);
+
+    // [2] dNSName
+    if (tag.primitive && tag.type === 0x02)
+      names.push(value.toString('ascii'));
+  }
+
+  return names;
+};
+
+/**
+ * Read a certificate revocation list.
+ * @param {BufferReader} br
+ * @returns {Object}
+ */
+
+ASN1.readCRL = function readCRL(br) {
+  br = ASN1.seq(br);
+  return {
+    tbs: ASN1.readTBSCertList(br),
+    sigAlg: ASN1.readAlgIdent(br),
+    sig: ASN1.readBitstr(br)
+  };
+};
+
+/**
+ * Read the signed part of a CRL.
+ * @param {BufferReader} br
+ * @returns {Object}
+ */
+
+ASN1.readTBSCertList = function readTBSCertList(br) {
+  const buf = br;
+
+  buf.start();
+
+  br = ASN1.seq(buf);
+
+  let version = 0;
+
+  if (ASN1.peekTag(br).type === 0x02)
+    version = ASN1.readInt(br, true);
+
+  const sig = ASN1.readAlgIdent(br);
+  const issuer = ASN1.readName(br);
+  const thisUpdate = ASN1.readTime(br);
+
+  let nextUpdate = -1;
+
+  if (br.left()) {
+    const {type} = ASN1.peekTag(br);
+    if (type === 0x17 || type === 0x18)
+      nextUpdate = ASN1.readTime(br);
+  }
+
+  const revoked = [];
+
+  if (br.left() && ASN1.peekTag(br).type === 0x10) {
+    const list = ASN1.seq(br);
+
+    while (list.left()) {
+      const entry = ASN1.seq(list);
+      revoked.push({
+        serial: ASN1.readInt(entry),
+        date: ASN1.readTime(entry)
+      });
+    }
+  }
+
+  // Ignore [0] crlExtensions.
+
+  return {
+    version: version,
+    sig: sig,
+    issuer: issuer,
+    thisUpdate: thisUpdate,
+    nextUpdate: nextUpdate,
+    revoked: revoked,
     raw: buf.endData(true)
   };
 };
@@ -467,6 +681,50 @@ ASN1.readAlgIdent = function readAlgIdent(br) {
   };
 };
 
+/**
+ * Read RSASSA-PSS parameters (RFC 4055) from the
+ * params of an algorithm identifier. Absent fields
+ * take their defaults (sha1, MGF1 with sha1, 20).
+ * @param {Buffer|null} data
+ * @returns {Object}
+ */
+
+ASN1.parseRSAPSSParams = function parseRSAPSSParams(data) {
+  const params = {
+    hash: '1.3.14.3.2.26',
+    mgf: '1.2.840.113549.1.1.8',
+    mgfHash: '1.3.14.3.2.26',
+    saltLen: 20,
+    trailer: 1
+  };
+
+  if (!data)
+    return params;
+
+  const br = bio.read(data, true);
+
+  if (br.left() && ASN1.explicit(br, 0x00))
+    params.hash = ASN1.readAlgIdent(br).alg;
+
+  if (br.left() && ASN1.explicit(br, 0x01)) {
+    const mgf = ASN1.readAlgIdent(br);
+
+    if (!mgf.params)
+      throw new Error('No hash selected for MGF.');
+
+    params.mgf = mgf.alg;
+    params.mgfHash = ASN1.readOID(bio.read(mgf.params, true));
+  }
+
+  if (br.left() && ASN1.explicit(br, 0x02))
+    params.saltLen = ASN1.readInt(br, true);
+
+  if (br.left() && ASN1.explicit(br, 0x03))
+    params.trailer = ASN1.readInt(br, true);
+
+  return params;
+};
+
 /**
  * Read RSA public key.
  * @param {BufferReader} br
@@ -532,6 +790,16 @@ ASN1.parseCert = function parseCert(data) {
   return ASN1.readCert(bio.read(data, true));
 };
 
+/**
+ * Read certificate revocation list from buffer.
+ * @param {Buffer} data
+ * @returns {Object}
+ */
+
+ASN1.parseCRL = function parseCRL(data) {
+  return ASN1.readCRL(bio.read(data, true));
+};
+
 /**
  * Read TBS certificate from buffer.
  * @param {Buffer} data
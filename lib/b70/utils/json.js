@@ -0,0 +1,199 @@
+/*!
+ * json.js - bip70 json helpers for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const Amount = require('../../btc/amount');
+const Network = require('../../protocol/network');
+const Address = require('../../primitives/address');
+const Script = require('../../script/script');
+const {UnknownField} = require('./protoschema');
+
+/**
+ * Shared JSON encoding for the BIP70 messages:
+ * values in XEC, outputs with their address,
+ * and unknown fields kept for re-encoding.
+ * @exports b70/utils/json
+ */
+
+const json = exports;
+
+/**
+ * Resolve the network used for addresses.
+ * @param {(Network|String)?} network
+ * @param {String?} name - BIP70 network name (`main`, `test`).
+ * @returns {Network}
+ */
+
+json.getNetwork = function getNetwork(network, name) {
+  if (network)
+    return Network.get(network);
+
+  if (name === 'test')
+    name = 'testnet';
+
+  return Network.ensure(name);
+};
+
+/**
+ * Convert a requested output to JSON.
+ * @param {Object} output
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+json.outputToJSON = function outputToJSON(output, network) {
+  const out = {
+    value: output.value !== -1 ? Amount.xec(output.value) : null,
+    script: output.script ? output.script.toString('hex') : null,
+    address: null
+  };
+
+  if (output.script) {
+    const script = Script.fromRaw(output.script);
+    const addr = Address.fromScript(script);
+
+    // P2PK and bare multisig have no address of their own.
+    if (addr && Script.fromAddress(addr).equals(script))
+      out.address = addr.toString(network);
+  }
+
+  if (output.tokenAmount)
+    out.tokenAmount = output.tokenAmount.toString(10);
+
+  if (output.unknown && output.unknown.length > 0)
+    out.unknown = json.unknownToJSON(output.unknown);
+
+  return out;
+};
+
+/**
+ * Read a requested output from JSON. The script wins
+ * over the address when both are present.
+ * @param {Object} item
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+json.outputFromJSON = function outputFromJSON(item, network) {
+  assert(item && typeof item === 'object', 'Output must be an object.');
+
+  const output = {
+    value: -1,
+    script: null,
+    tokenAmount: null,
+    unknown: json.unknownFromJSON(item.unknown)
+  };
+
+  if (item.value != null)
+    output.value = Amount.from('xec', item.value).toValue();
+
+  if (item.script != null) {
+    output.script = json.fromHex(item.script);
+  } else if (item.address != null) {
+    const addr = Address.fromString(item.address, network);
+    output.script = Script.fromAddress(addr).toRaw();
+  }
+
+  if (item.tokenAmount != null) {
+    assert(typeof item.tokenAmount === 'string');
+    output.tokenAmount = U64.fromString(item.tokenAmount, 10);
+  }
+
+  return output;
+};
+
+/**
+ * Convert merchant data to JSON: parsed when it is a
+ * JSON object which serializes back to the same bytes,
+ * hex otherwise.
+ * @param {Buffer|null} data
+ * @returns {Object|String|null}
+ */
+
+json.dataToJSON = function dataToJSON(data) {
+  if (!data)
+    return null;
+
+  let obj;
+  try {
+    obj = JSON.parse(data.toString('utf8'));
+  } catch (e) {
+    return data.toString('hex');
+  }
+
+  if (!obj || typeof obj !== 'object')
+    return data.toString('hex');
+
+  if (!Buffer.from(JSON.stringify(obj), 'utf8').equals(data))
+    return data.toString('hex');
+
+  return obj;
+};
+
+/**
+ * Read merchant data from JSON.
+ * @param {Object|String|null} item
+ * @returns {Buffer|null}
+ */
+
+json.dataFromJSON = function dataFromJSON(item) {
+  if (item == null)
+    return null;
+
+  if (typeof item === 'string')
+    return json.fromHex(item);
+
+  assert(typeof item === 'object', 'Merchant data must be an object.');
+
+  return Buffer.from(JSON.stringify(item), 'utf8');
+};
+
+/**
+ * Convert unknown fields to JSON.
+ * @param {UnknownField[]} unknown
+ * @returns {Object[]}
+ */
+
+json.unknownToJSON = function unknownToJSON(unknown) {
+  return unknown.map(field => field.getJSON());
+};
+
+/**
+ * Read unknown fields from JSON.
+ * @param {Object[]?} items
+ * @returns {UnknownField[]}
+ */
+
+json.unknownFromJSON = function unknownFromJSON(items) {
+  if (items == null)
+    return [];
+
+  assert(Array.isArray(items), 'Unknown fields must be an array.');
+
+  return items.map(item => UnknownField.fromJSON(item));
+};
+
+/**
+ * Read an optional hex string.
+ * @param {String|null} str
+ * @returns {Buffer|null}
+ */
+
+json.fromHex = function fromHex(str) {
+  if (str == null)
+    return null;
+
+  assert(typeof str === 'string', 'Expected a hex string.');
+
+  const data = Buffer.from(str, 'hex');
+
+  assert(data.length * 2 === str.length, 'Invalid hex string.');
+
+  return data;
+};
@@ -0,0 +1,414 @@
+/*!
+ * protoschema.js - descriptor driven protobufs for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const ProtoReader = require('./protoreader');
+const ProtoWriter = require('./protowriter');
+
+/*
+ * Constants
+ */
+
+const types = new Set([
+  'uint32',
+  'uint64',
+  'string',
+  'bytes',
+  'message'
+]);
+
+/**
+ * ProtoBuf Schema
+ * Encodes and decodes a message from a list of field
+ * descriptors. Fields the schema does not know are kept
+ * (in order, byte for byte) on `unknown` and written back
+ * out, so re-serializing a message from a newer peer does
+ * not change its bytes.
+ *
+ * A field descriptor has:
+ *   tag - Field number.
+ *   name - Property name.
+ *   type - uint32, uint64, string, bytes or message.
+ *   optional - Absent values are -1 (numbers) or null.
+ *   repeated - Values are collected in an array.
+ *   schema - Schema of a nested message.
+ *   decode/encode - Map the wire value to and from
+ *                   the property value.
+ *
+ * @property {Object[]} fields
+ */
+
+class ProtoSchema {
+  /**
+   * Create a schema.
+   * @constructor
+   * @param {Object[]} fields - Field descriptors, in tag order.
+   */
+
+  constructor(fields) {
+    assert(Array.isArray(fields));
+
+    this.fields = [];
+    this.tags = new Map();
+
+    for (const options of fields)
+      this.add(options);
+  }
+
+  /**
+   * Add a field descriptor.
+   * @param {Object} options
+   * @returns {ProtoSchema}
+   */
+
+  add(options) {
+    const field = new FieldDescriptor(options);
+    const last = this.fields[this.fields.length - 1];
+
+    assert(!this.tags.has(field.tag), 'Duplicate field tag.');
+    assert(!last || last.tag < field.tag, 'Fields must be in tag order.');
+
+    this.fields.push(field);
+    this.tags.set(field.tag, field);
+
+    return this;
+  }
+
+  /**
+   * Decode a message onto an object.
+   * @param {Buffer} data
+   * @param {Object?} target
+   * @returns {Object}
+   */
+
+  read(data, target) {
+    const br = new ProtoReader(data);
+    const values = new Map();
+    const unknown = [];
+
+    if (!target)
+      target = {};
+
+    let last = 0;
+
+    while (br.left() > 0) {
+      const offset = br.offset;
+      const item = br.readField();
+      const field = this.tags.get(item.tag);
+
+      if (!field) {
+        const raw = Buffer.from(br.data.slice(offset, br.offset));
+        unknown.push(new UnknownField(item.tag, last, raw));
+        continue;
+      }
+
+      const value = field.read(item);
+
+      if (field.repeated) {
+        if (!values.has(field))
+          values.set(field, []);
+        values.get(field).push(value);
+      } else {
+        values.set(field, value);
+      }
+
+      last = field.tag;
+    }
+
+    for (const field of this.fields) {
+      if (values.has(field)) {
+        target[field.name] = values.get(field);
+        continue;
+      }
+
+      assert(field.optional || field.repeated,
+        'Non-optional field not present.');
+
+      target[field.name] = field.getDefault();
+    }
+
+    target.unknown = unknown;
+
+    return target;
+  }
+
+  /**
+   * Decode a message.
+   * @param {Buffer} data
+   * @returns {Object}
+   */
+
+  decode(data) {
+    return this.read(data, {});
+  }
+
+  /**
+   * Encode an object's fields, along
+   * with the unknown fields it carries.
+   * @param {Object} obj
+   * @returns {Buffer}
+   */
+
+  encode(obj) {
+    const bw = new ProtoWriter();
+    const unknown = obj.unknown || [];
+
+    writeUnknown(bw, unknown, 0);
+
+    for (const field of this.fields) {
+      const value = obj[field.name];
+
+      if (field.repeated) {
+        assert(Array.isArray(value), `${field.name} must be an array.`);
+        for (const item of value)
+          field.write(bw, item);
+      } else if (!field.isDefault(value)) {
+        field.write(bw, value);
+      } else {
+        assert(field.optional, `${field.name} is required.`);
+      }
+
+      writeUnknown(bw, unknown, field.tag);
+    }
+
+    return bw.render();
+  }
+}
+
+/**
+ * Field Descriptor
+ * @ignore
+ */
+
+class FieldDescriptor {
+  /**
+   * Create a field descriptor.
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    assert(options && typeof options === 'object');
+    assert((options.tag >>> 0) === options.tag && options.tag > 0);
+    assert(typeof options.name === 'string');
+    assert(types.has(options.type), `Unknown field type: ${options.type}.`);
+
+    this.tag = options.tag;
+    this.name = options.name;
+    this.type = options.type;
+    this.optional = options.optional === true;
+    this.repeated = options.repeated === true;
+    this.schema = null;
+    this.decode = null;
+    this.encode = null;
+
+    if (this.type === 'message') {
+      assert(options.schema instanceof ProtoSchema,
+        'Message fields need a schema.');
+      this.schema = options.schema;
+    }
+
+    if (options.decode != null) {
+      assert(typeof options.decode === 'function');
+      this.decode = options.decode;
+    }
+
+    if (options.encode != null) {
+      assert(typeof options.encode === 'function');
+      this.encode = options.encode;
+    }
+  }
+
+  /**
+   * Get the value of an absent field.
+   * @returns {Number|Array|null}
+   */
+
+  getDefault() {
+    if (this.repeated)
+      return [];
+
+    if (this.isNumber())
+      return -1;
+
+    return null;
+  }
+
+  /**
+   * Test whether a value is the absent value.
+   * @param {*} value
+   * @returns {Boolean}
+   */
+
+  isDefault(value) {
+    if (value == null)
+      return true;
+
+    return this.isNumber() && value === -1;
+  }
+
+  /**
+   * Test whether the field holds a number.
+   * @returns {Boolean}
+   */
+
+  isNumber() {
+    return this.type === 'uint32' || this.type === 'uint64';
+  }
+
+  /**
+   * Read a value from a decoded wire field.
+   * @param {Object} item
+   * @returns {*}
+   */
+
+  read(item) {
+    let value;
+
+    switch (this.type) {
+      case 'uint32':
+        assert(item.type === 0 || item.type === 5,
+          `Unexpected wire type for ${this.name}.`);
+        value = item.value;
+        break;
+      case 'uint64':
+        assert(item.type === 0 || item.type === 1,
+          `Unexpected wire type for ${this.name}.`);
+        value = item.value;
+        break;
+      case 'string':
+        assert(item.data, `Unexpected wire type for ${this.name}.`);
+        value = item.data.toString('utf8');
+        break;
+      case 'bytes':
+        assert(item.data, `Unexpected wire type for ${this.name}.`);
+        value = item.data;
+        break;
+      case 'message':
+        assert(item.data, `Unexpected wire type for ${this.name}.`);
+        value = this.schema.decode(item.data);
+        break;
+    }
+
+    if (this.decode)
+      value = this.decode(value);
+
+    return value;
+  }
+
+  /**
+   * Write a value.
+   * @param {ProtoWriter} bw
+   * @param {*} value
+   */
+
+  write(bw, value) {
+    if (this.encode)
+      value = this.encode(value);
+
+    switch (this.type) {
+      case 'uint32':
+        bw.writeFieldU32(this.tag, value);
+        break;
+      case 'uint64':
+        bw.writeFieldU64(this.tag, value);
+        break;
+      case 'string':
+        bw.writeFieldString(this.tag, value);
+        break;
+      case 'bytes':
+        assert(Buffer.isBuffer(value), `${this.name} must be a buffer.`);
+        bw.writeFieldBytes(this.tag, value);
+        break;
+      case 'message':
+        bw.writeFieldBytes(this.tag, this.schema.encode(value));
+        break;
+    }
+  }
+}
+
+/**
+ * Unknown Field
+ * A field kept verbatim through a decode/encode round trip.
+ * @property {Number} tag
+ * @property {Number} after - Tag of the known field it followed.
+ * @property {Buffer} raw - Key and value as read.
+ */
+
+class UnknownField {
+  /**
+   * Create an unknown field.
+   * @constructor
+   * @param {Number} tag
+   * @param {Number} after
+   * @param {Buffer} raw
+   */
+
+  constructor(tag, after, raw) {
+    this.tag = tag;
+    this.after = after;
+    this.raw = raw;
+  }
+
+  /**
+   * Convert the field to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      tag: this.tag,
+      after: this.after,
+      raw: this.raw.toString('hex')
+    };
+  }
+
+  /**
+   * Convert the field to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+
+  /**
+   * Instantiate an unknown field from a jsonified object.
+   * @param {Object} json
+   * @returns {UnknownField}
+   */
+
+  static fromJSON(json) {
+    assert(json && typeof json === 'object');
+    assert((json.tag >>> 0) === json.tag);
+    assert((json.after >>> 0) === json.after);
+    assert(typeof json.raw === 'string');
+    return new this(json.tag, json.after, Buffer.from(json.raw, 'hex'));
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function writeUnknown(bw, unknown, after) {
+  for (const field of unknown) {
+    if (field.after === after)
+      bw.writeBytes(field.raw);
+  }
+}
+
+/*
+ * Expose
+ */
+
+ProtoSchema.UnknownField = UnknownField;
+
+module.exports = ProtoSchema;
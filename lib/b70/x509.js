@@ -33,6 +33,24 @@ x509.trusted = new Set();
 
 x509.allowUntrusted = false;
 
+/**
+ * How to treat legacy SHA-1 signatures:
+ * `accept`, `warn` or `reject`.
+ * @type {String}
+ * @default
+ */
+
+x509.sha1Policy = 'reject';
+
+/**
+ * Called with a message when a SHA-1
+ * signature is accepted under `warn`.
+ * Does nothing by default.
+ * @type {Function}
+ */
+
+x509.onWarning = function onWarning(msg) {};
+
 /**
  * OID to algorithm map for PKI.
  * @const {Object}
@@ -41,6 +59,8 @@ x509.allowUntrusted = false;
  * @see http://oid-info.com/get/1.2.840.10040.4
  * @see http://oid-info.com/get/1.2.840.113549.1.1
  * @see http://oid-info.com/get/1.2.840.10045.4.3
+ * @see http://oid-info.com/get/2.16.840.1.101.3.4.3
+ * @see https://tools.ietf.org/html/rfc4055
  * @see https://tools.ietf.org/html/draft-jivsov-openpgp-sha3-01
  */
 
@@ -53,6 +73,7 @@ x509.oid = {
   '1.2.840.113549.1.1.3'    : { key: 'rsa',   hash: 'md4'      },
   '1.2.840.113549.1.1.4'    : { key: 'rsa',   hash: 'md5'      },
   '1.2.840.113549.1.1.5'    : { key: 'rsa',   hash: 'sha1'     },
+  '1.2.840.113549.1.1.10'   : { key: 'rsa',   hash: null, pss: true },
   '1.2.840.113549.1.1.11'   : { key: 'rsa',   hash: 'sha256'   },
   '1.2.840.113549.1.1.12'   : { key: 'rsa',   hash: 'sha384'   },
   '1.2.840.113549.1.1.13'   : { key: 'rsa',   hash: 'sha512'   },
@@ -60,12 +81,37 @@ x509.oid = {
   '2.16.840.1.101.3.4.2.8'  : { key: 'rsa',   hash: 'sha3-256' },
   '2.16.840.1.101.3.4.2.9'  : { key: 'rsa',   hash: 'sha3-384' },
   '2.16.840.1.101.3.4.2.10' : { key: 'rsa',   hash: 'sha3-512' },
+  '2.16.840.1.101.3.4.3.13' : { key: 'rsa',   hash: 'sha3-224' },
+  '2.16.840.1.101.3.4.3.14' : { key: 'rsa',   hash: 'sha3-256' },
+  '2.16.840.1.101.3.4.3.15' : { key: 'rsa',   hash: 'sha3-384' },
+  '2.16.840.1.101.3.4.3.16' : { key: 'rsa',   hash: 'sha3-512' },
   '1.2.840.10045.2.1'       : { key: 'ecdsa', hash: null       },
   '1.2.840.10045.4.1'       : { key: 'ecdsa', hash: 'sha1'     },
   '1.2.840.10045.4.3.1'     : { key: 'ecdsa', hash: 'sha224'   },
   '1.2.840.10045.4.3.2'     : { key: 'ecdsa', hash: 'sha256'   },
   '1.2.840.10045.4.3.3'     : { key: 'ecdsa', hash: 'sha384'   },
-  '1.2.840.10045.4.3.4'     : { key: 'ecdsa', hash: 'sha512'   }
+  '1.2.840.10045.4.3.4'     : { key: 'ecdsa', hash: 'sha512'   },
+  '2.16.840.1.101.3.4.3.9'  : { key: 'ecdsa', hash: 'sha3-224' },
+  '2.16.840.1.101.3.4.3.10' : { key: 'ecdsa', hash: 'sha3-256' },
+  '2.16.840.1.101.3.4.3.11' : { key: 'ecdsa', hash: 'sha3-384' },
+  '2.16.840.1.101.3.4.3.12' : { key: 'ecdsa', hash: 'sha3-512' }
+};
+
+/**
+ * OID to hash name map (RSA-PSS parameters).
+ * @type {Object}
+ */
+
+x509.hashes = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.4': 'sha224',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+  '2.16.840.1.101.3.4.2.7': 'sha3-224',
+  '2.16.840.1.101.3.4.2.8': 'sha3-256',
+  '2.16.840.1.101.3.4.2.9': 'sha3-384',
+  '2.16.840.1.101.3.4.2.10': 'sha3-512'
 };
 
 /**
@@ -80,6 +126,65 @@ x509.curves = {
   '1.3.132.0.35': 'p521'
 };
 
+/**
+ * Revocation list provider, called with a parsed
+ * cert and its parsed issuer. Returns a CRL (DER,
+ * PEM or parsed) or null if none is available.
+ * @type {Function|null}
+ */
+
+x509.getCRL = null;
+
+/**
+ * How to treat CRLs past their next update:
+ * `soft` (use them anyway) or `hard` (fail).
+ * Under `hard` a missing CRL fails as well.
+ * @type {String}
+ */
+
+x509.staleCRL = 'soft';
+
+/**
+ * Certificate extension OIDs.
+ * @const {Object}
+ * @see https://tools.ietf.org/html/rfc5280#section-4.2
+ */
+
+x509.ext = {
+  KEY_USAGE: '2.5.29.15',
+  ALT_NAME: '2.5.29.17',
+  BASIC_CONSTRAINTS: '2.5.29.19',
+  EXT_KEY_USAGE: '2.5.29.37'
+};
+
+/**
+ * Key usage bits.
+ * @const {Object}
+ */
+
+x509.keyUsage = {
+  DIGITAL_SIGNATURE: 0,
+  NON_REPUDIATION: 1,
+  KEY_ENCIPHERMENT: 2,
+  DATA_ENCIPHERMENT: 3,
+  KEY_AGREEMENT: 4,
+  KEY_CERT_SIGN: 5,
+  CRL_SIGN: 6,
+  ENCIPHER_ONLY: 7,
+  DECIPHER_ONLY: 8
+};
+
+/**
+ * Extended key usages accepted for
+ * payment request signing keys.
+ * @type {Set}
+ */
+
+x509.purposes = new Set([
+  '2.5.29.37.0', // anyExtendedKeyUsage
+  '1.3.6.1.5.5.7.3.1' // serverAuth
+]);
+
 /**
  * Retrieve cert value by OID.
  * @param {Object} cert
@@ -197,12 +302,50 @@ x509.getSigAlgorithm = function getSigAlgorithm(cert) {
   const oid = cert.sigAlg.alg;
   const alg = x509.oid[oid];
 
+  if (alg && alg.pss)
+    return x509.getPSSAlgorithm(cert.sigAlg.params);
+
   if (!alg || !alg.hash)
     throw new Error(`Unknown signature algorithm: ${oid}.`);
 
   return alg;
 };
 
+/**
+ * Resolve RSA-PSS signature parameters.
+ * @param {Buffer|null} params
+ * @returns {Object}
+ */
+
+x509.getPSSAlgorithm = function getPSSAlgorithm(params) {
+  let pss;
+
+  try {
+    pss = ASN1.parseRSAPSSParams(params);
+  } catch (e) {
+    throw new Error('Could not parse PSS parameters.');
+  }
+
+  const hash = x509.hashes[pss.hash];
+
+  if (!hash)
+    throw new Error(`Unknown PSS hash algorithm: ${pss.hash}.`);
+
+  // bcrypto masks with the message hash only.
+  if (pss.mgf !== '1.2.840.113549.1.1.8' || pss.mgfHash !== pss.hash)
+    throw new Error('Unsupported PSS mask generation function.');
+
+  if (pss.trailer !== 1)
+    throw new Error(`Unsupported PSS trailer field: ${pss.trailer}.`);
+
+  return {
+    key: 'rsa',
+    hash: hash,
+    pss: true,
+    saltLen: pss.saltLen
+  };
+};
+
 /**
  * Lookup curve based on key parameters.
  * @param {Buffer} params
@@ -226,6 +369,167 @@ x509.getCurve = function getCurve(params) {
   return curve;
 };
 
+/**
+ * Retrieve a cert extension by OID.
+ * @param {Object} cert
+ * @param {String} oid
+ * @returns {Object|null}
+ */
+
+x509.getExtension = function getExtension(cert, oid) {
+  for (const ext of cert.tbs.extensions) {
+    if (ext.id === oid)
+      return ext;
+  }
+
+  return null;
+};
+
+/**
+ * Get basic constraints (null if absent).
+ * @param {Object} cert
+ * @returns {Object|null}
+ */
+
+x509.getBasicConstraints = function getBasicConstraints(cert) {
+  const ext = x509.getExtension(cert, x509.ext.BASIC_CONSTRAINTS);
+
+  if (!ext)
+    return null;
+
+  return ASN1.parseBasicConstraints(ext.value);
+};
+
+/**
+ * Get key usage bits (null if absent).
+ * @param {Object} cert
+ * @returns {Number[]|null}
+ */
+
+x509.getKeyUsage = function getKeyUsage(cert) {
+  const ext = x509.getExtension(cert, x509.ext.KEY_USAGE);
+
+  if (!ext)
+    return null;
+
+  return ASN1.parseKeyUsage(ext.value);
+};
+
+/**
+ * Get extended key usage OIDs (null if absent).
+ * @param {Object} cert
+ * @returns {String[]|null}
+ */
+
+x509.getExtKeyUsage = function getExtKeyUsage(cert) {
+  const ext = x509.getExtension(cert, x509.ext.EXT_KEY_USAGE);
+
+  if (!ext)
+    return null;
+
+  return ASN1.parseExtKeyUsage(ext.value);
+};
+
+/**
+ * Get the DNS names a cert is issued for
+ * (alt names, or the common name without them).
+ * @param {Object} cert
+ * @returns {String[]}
+ */
+
+x509.getNames = function getNames(cert) {
+  const ext = x509.getExtension(cert, x509.ext.ALT_NAME);
+
+  if (ext) {
+    const names = ASN1.parseAltNames(ext.value);
+    if (names.length > 0)
+      return names;
+  }
+
+  const cn = x509.getSubjectOID(cert, '2.5.4.3');
+
+  return cn ? [cn] : [];
+};
+
+/**
+ * Test whether a cert is issued for a domain.
+ * A wildcard covers a single leftmost label.
+ * @param {Object} cert
+ * @param {String} name
+ * @returns {Boolean}
+ */
+
+x509.verifyName = function verifyName(cert, name) {
+  assert(typeof name === 'string');
+
+  const host = name.toLowerCase().replace(/\.$/, '');
+
+  for (let pattern of x509.getNames(cert)) {
+    pattern = pattern.toLowerCase().replace(/\.$/, '');
+
+    if (pattern === host)
+      return true;
+
+    if (!pattern.startsWith('*.'))
+      continue;
+
+    const dot = host.indexOf('.');
+
+    if (dot > 0 && host.slice(dot) === pattern.slice(1))
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Verify the extensions of a cert at a position
+ * in the chain (0 is the leaf).
+ * @param {Object} cert
+ * @param {Number} depth
+ * @param {Boolean} last - Whether the cert is the anchor.
+ * @throws {Error} On the first violated constraint.
+ */
+
+x509.verifyExtensions = function verifyExtensions(cert, depth, last) {
+  const known = Object.values(x509.ext);
+
+  for (const ext of cert.tbs.extensions) {
+    if (ext.critical && !known.includes(ext.id))
+      throw new Error(`Unsupported critical extension: ${ext.id}.`);
+  }
+
+  const usage = x509.getKeyUsage(cert);
+
+  if (depth === 0) {
+    if (usage && !usage.includes(x509.keyUsage.DIGITAL_SIGNATURE))
+      throw new Error('Leaf key usage does not allow digitalSignature.');
+
+    const purposes = x509.getExtKeyUsage(cert);
+
+    if (purposes && !purposes.some(oid => x509.purposes.has(oid)))
+      throw new Error('Leaf extended key usage does not allow serverAuth.');
+
+    return;
+  }
+
+  const constraints = x509.getBasicConstraints(cert);
+
+  // Legacy v1 roots carry no extensions at all.
+  if (!constraints && last && cert.tbs.extensions.length === 0)
+    return;
+
+  if (!constraints || !constraints.ca)
+    throw new Error(`Issuer at depth ${depth} is not a CA.`);
+
+  // Intermediates below this issuer (excluding the leaf).
+  if (constraints.pathLen !== -1 && depth - 1 > constraints.pathLen)
+    throw new Error(`Path length exceeded at depth ${depth}.`);
+
+  if (usage && !usage.includes(x509.keyUsage.KEY_CERT_SIGN))
+    throw new Error(`Issuer at depth ${depth} may not sign certificates.`);
+};
+
 /**
  * Parse a DER formatted cert.
  * @param {Buffer} der
@@ -240,6 +544,144 @@ x509.parse = function parse(der) {
   }
 };
 
+/**
+ * Parse a DER or PEM formatted CRL.
+ * @param {Buffer|String} data
+ * @returns {Object}
+ */
+
+x509.parseCRL = function parseCRL(data) {
+  if (typeof data === 'string' || isPEM(data)) {
+    const pem = data.toString('ascii');
+    const match = PEM_CRL.exec(pem);
+
+    if (!match)
+      throw new Error('Could not find PEM CRL.');
+
+    data = Buffer.from(match[1], 'base64');
+  }
+
+  try {
+    return ASN1.parseCRL(data);
+  } catch (e) {
+    throw new Error('Could not parse DER CRL.');
+  }
+};
+
+/**
+ * Verify a CRL was signed by a certificate's issuer.
+ * @param {Object} crl
+ * @param {Object} issuer - Parsed issuer cert.
+ * @param {TrustStore?} store - Supplies the SHA-1 policy.
+ * @returns {Boolean}
+ * @throws {Error} If the SHA-1 policy rejects the CRL.
+ */
+
+x509.verifyCRL = function verifyCRL(crl, issuer, store) {
+  if (!equalNames(crl.tbs.issuer, issuer.tbs.subject))
+    return false;
+
+  const alg = x509.getSigAlgorithm(crl);
+  const key = x509.getPublicKey(issuer);
+
+  if (store)
+    store.checkHash(alg.hash, 'CRL');
+  else
+    x509.checkHash(alg.hash, 'CRL');
+
+  return crypto.verify(alg.hash, crl.tbs.raw, crl.sig, key, alg.saltLen);
+};
+
+/**
+ * Test whether a CRL is past its next update.
+ * @param {Object} crl
+ * @param {Number?} now
+ * @returns {Boolean}
+ */
+
+x509.isStale = function isStale(crl, now) {
+  if (now == null)
+    now = Math.floor(Date.now() / 1000);
+
+  if (crl.tbs.nextUpdate === -1)
+    return false;
+
+  return now > crl.tbs.nextUpdate;
+};
+
+/**
+ * Test whether a CRL lists a certificate.
+ * @param {Object} crl
+ * @param {Object} cert
+ * @returns {Boolean}
+ */
+
+x509.isRevoked = function isRevoked(crl, cert) {
+  for (const entry of crl.tbs.revoked) {
+    if (entry.serial.equals(cert.tbs.serial))
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Check every non-root certificate of a parsed
+ * chain against its issuer's CRL, using the CRL
+ * provider and policy of a trust store (or the
+ * globals). Certificates without an available
+ * CRL are not checked unless the policy is `hard`.
+ * @param {Object[]} chain
+ * @param {TrustStore?} store
+ * @param {Number?} now - Unix time (defaults to the clock).
+ * @throws {Error} On the first failed check.
+ */
+
+x509.verifyRevocation = function verifyRevocation(chain, store, now) {
+  const source = store || x509;
+
+  if (!source.getCRL)
+    return;
+
+  const stale = source.staleCRL;
+
+  if (now == null)
+    now = Math.floor(Date.now() / 1000);
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    const cert = chain[i];
+    const issuer = chain[i + 1];
+
+    let crl = source.getCRL(cert, issuer);
+
+    if (!crl) {
+      if (stale === 'hard')
+        throw new Error(`No CRL for depth ${i}.`);
+      continue;
+    }
+
+    if (typeof crl === 'string' || Buffer.isBuffer(crl))
+      crl = x509.parseCRL(crl);
+
+    const usage = x509.getKeyUsage(issuer);
+
+    if (usage && !usage.includes(x509.keyUsage.CRL_SIGN))
+      throw new Error(`Issuer at depth ${i + 1} may not sign CRLs.`);
+
+    if (!x509.verifyCRL(crl, issuer, store))
+      throw new Error(`CRL verification failed at depth ${i + 1}.`);
+
+    if (now < crl.tbs.thisUpdate)
+      throw new Error(`CRL for depth ${i} is not yet valid.`);
+
+    if (x509.isStale(crl, now) && stale === 'hard')
+      throw new Error(`CRL for depth ${i} is stale.`);
+
+    if (x509.isRevoked(crl, cert))
+      throw new Error(`Certificate at depth ${i} is revoked.`);
+  }
+};
+
 /**
  * Get cert public key.
  * @param {Object} cert
@@ -264,19 +706,24 @@ x509.getPublicKey = function getPublicKey(cert) {
     alg: alg.key,
     data: key,
     params: params,
-    curve: curve
+    curve: curve,
+    pss: alg.pss === true
   };
 };
 
 /**
  * Verify cert expiration time.
  * @param {Object} cert
+ * @param {Number?} now - Unix time (defaults to the clock).
  * @returns {Boolean}
  */
 
-x509.verifyTime = function verifyTime(cert) {
+x509.verifyTime = function verifyTime(cert, now) {
   const time = cert.tbs.validity;
-  const now = Math.floor(Date.now() / 1000);
+
+  if (now == null)
+    now = Math.floor(Date.now() / 1000);
+
   return now > time.notBefore && now < time.notAfter;
 };
 
@@ -297,7 +744,8 @@ x509.getSigningKey = function getSigningKey(key, chain) {
     alg: pub.alg,
     data: key,
     params: pub.params,
-    curve: pub.curve
+    curve: pub.curve,
+    pss: pub.pss
   };
 };
 
@@ -361,15 +809,48 @@ x509.parseChain = function parseChain(chain) {
   return certs;
 };
 
+/**
+ * Apply the SHA-1 policy to a signature hash.
+ * @param {String} hash - Hash algorithm.
+ * @param {String} what - Signed object (for messages).
+ * @param {String?} policy - Defaults to `x509.sha1Policy`.
+ * @param {Function?} onWarning - Defaults to `x509.onWarning`.
+ * @throws {Error} If the policy rejects the hash.
+ */
+
+x509.checkHash = function checkHash(hash, what, policy, onWarning) {
+  if (hash !== 'sha1')
+    return;
+
+  if (policy == null)
+    policy = x509.sha1Policy;
+
+  if (onWarning == null)
+    onWarning = x509.onWarning;
+
+  switch (policy) {
+    case 'accept':
+      break;
+    case 'warn':
+      onWarning(`Accepting legacy SHA-1 signature (${what}).`);
+      break;
+    case 'reject':
+      throw new Error(`SHA-1 signatures are rejected by policy (${what}).`);
+    default:
+      throw new Error(`Unknown SHA-1 policy: ${policy}.`);
+  }
+};
+
 /**
  * Verify all expiration times in a certificate chain.
  * @param {Object[]} chain
+ * @param {Number?} now - Unix time (defaults to the clock).
  * @returns {Boolean}
  */
 
-x509.verifyTimes = function verifyTimes(chain) {
+x509.verifyTimes = function verifyTimes(chain, now) {
   for (const cert of chain) {
-    if (!x509.verifyTime(cert))
+    if (!x509.verifyTime(cert, now))
       return false;
   }
 
@@ -406,16 +887,30 @@ x509.verifyTrust = function verifyTrust(chain) {
 /**
  * Verify certificate chain.
  * @param {Object[]} certs
+ * @param {String?} name - Domain the leaf must be issued for.
+ * @param {TrustStore?} store - Defaults to the global trust.
+ * @param {Number?} now - Unix time (defaults to the clock).
  */
 
-x509.verifyChain = function verifyChain(certs) {
+x509.verifyChain = function verifyChain(certs, name, store, now) {
   const chain = x509.parseChain(certs);
 
   // Parse certificates and
   // check validity time.
-  if (!x509.verifyTimes(chain))
+  if (!x509.verifyTimes(chain, now))
     throw new Error('Invalid certificate times.');
 
+  if (chain.length === 0)
+    throw new Error('No chain available.');
+
+  // Check the leaf names the merchant.
+  if (name != null && !x509.verifyName(chain[0], name))
+    throw new Error(`Certificate is not issued for ${name}.`);
+
+  // Check constraints and key usage.
+  for (let i = 0; i < chain.length; i++)
+    x509.verifyExtensions(chain[i], i, i === chain.length - 1);
+
   // Verify signatures.
   for (let i = 1; i < chain.length; i++) {
     const child = chain[i - 1];
@@ -425,18 +920,52 @@ x509.verifyChain = function verifyChain(certs) {
     const msg = child.tbs.raw;
     const sig = child.sig;
 
-    if (!crypto.verify(alg.hash, msg, sig, key))
+    if (store)
+      store.checkHash(alg.hash, 'certificate');
+    else
+      x509.checkHash(alg.hash, 'certificate');
+
+    if (!crypto.verify(alg.hash, msg, sig, key, alg.saltLen))
       throw new Error(`${alg.key} verification failed for chain.`);
   }
 
+  // Check revocation.
+  x509.verifyRevocation(chain, store, now);
+
   // Make sure we trust one
   // of the certs in the chain.
-  if (!x509.verifyTrust(chain))
+  const trusted = store
+    ? store.verifyTrust(chain)
+    : x509.verifyTrust(chain);
+
+  if (!trusted)
     throw new Error('Certificate chain is untrusted.');
 
   return true;
 };
 
+/*
+ * Helpers
+ */
+
+const PEM_CRL = /-----BEGIN X509 CRL-----([\s\S]*?)-----END X509 CRL-----/;
+
+function isPEM(data) {
+  return Buffer.isBuffer(data) && data.includes('-----BEGIN X509 CRL-----');
+}
+
+function equalNames(a, b) {
+  if (a.length !== b.length)
+    return false;
+
+  for (let i = 0; i < a.length; i++) {
+    if (a[i].type !== b[i].type || a[i].value !== b[i].value)
+      return false;
+  }
+
+  return true;
+}
+
 /*
  * Load trusted certs.
  */
@@ -74,6 +74,7 @@ bcoin.define('coins', './coins');
 bcoin.define('Coins', './coins/coins');
 bcoin.define('CoinEntry', './coins/coinentry');
 bcoin.define('CoinView', './coins/coinview');
+bcoin.define('TokenRegistry', './coins/tokenregistry');
 
 // HD
 bcoin.define('hd', './hd');
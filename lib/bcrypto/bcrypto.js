@@ -81,11 +81,11 @@ exports.SHA224 = require('./sha224');
 exports.SHA256 = require('./sha256');
 exports.SHA384 = require('./sha384');
 exports.SHA512 = require('./sha512');
-// exports.SHA3 = require('./sha3');
-// exports.SHA3_224 = require('./sha3-224');
-// exports.SHA3_256 = require('./sha3-256');
-// exports.SHA3_384 = require('./sha3-384');
-// exports.SHA3_512 = require('./sha3-512');
+exports.SHA3 = require('./sha3');
+exports.SHA3_224 = require('./sha3-224');
+exports.SHA3_256 = require('./sha3-256');
+exports.SHA3_384 = require('./sha3-384');
+exports.SHA3_512 = require('./sha3-512');
 exports.SHAKE = require('./shake');
 // exports.SHAKE128 = require('./shake128');
 exports.SHAKE256 = require('./shake256');
@@ -0,0 +1,76 @@
+/*!
+ * sha3.js - SHA3 implementation for bcrypto
+ * Copyright (c) 2017-2019, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcrypto
+ *
+ * Resources:
+ *   https://en.wikipedia.org/wiki/SHA-3
+ *   https://keccak.team/specifications.html
+ *   https://csrc.nist.gov/projects/hash-functions/sha-3-project/sha-3-standardization
+ *   http://dx.doi.org/10.6028/NIST.FIPS.202
+ */
+
+'use strict';
+
+const Keccak = require('./keccak');
+
+/**
+ * SHA3
+ */
+
+class SHA3 extends Keccak {
+  /**
+   * Create a SHA3 Context.
+   * @constructor
+   */
+
+  constructor() {
+    super();
+  }
+
+  final(len) {
+    return super.final(0x06, len);
+  }
+
+  static hash() {
+    return new SHA3();
+  }
+
+  static hmac(bits, len) {
+    return super.hmac(bits, 0x06, len);
+  }
+
+  static digest(data, bits, len) {
+    return super.digest(data, bits, 0x06, len);
+  }
+
+  static root(left, right, bits, len) {
+    return super.root(left, right, bits, 0x06, len);
+  }
+
+  static multi(x, y, z, bits, len) {
+    return super.multi(x, y, z, bits, 0x06, len);
+  }
+
+  static mac(data, key, bits, len) {
+    return super.mac(data, key, bits, 0x06, len);
+  }
+}
+
+/*
+ * Static
+ */
+
+SHA3.native = Keccak.native;
+SHA3.id = 'SHA3_256';
+SHA3.size = 32;
+SHA3.bits = 256;
+SHA3.blockSize = 136;
+SHA3.zero = Buffer.alloc(32, 0x00);
+SHA3.ctx = new SHA3();
+
+/*
+ * Expose
+ */
+
+module.exports = SHA3;
@@ -104,7 +104,7 @@ class Amount {
   /**
    * Get unit string or value.
    * @param {String} unit - Can be `sat`,
-   * `ubtc`, `bits`, `mbtc`, or `btc`.
+   * `ubtc`, `bits`, `xec`, `mbtc`, or `btc`.
    * @param {Boolean?} num
    * @returns {String|Amount}
    */
@@ -115,6 +115,7 @@ class Amount {
         return this.toSatoshis(num);
       case 'ubtc':
       case 'bits':
+      case 'xec':
         return this.toBits(num);
       case 'mbtc':
         return this.toMBTC(num);
@@ -209,6 +210,7 @@ class Amount {
         return this.fromSatoshis(value);
       case 'ubtc':
       case 'bits':
+      case 'xec':
         return this.fromBits(value);
       case 'mbtc':
         return this.fromMBTC(value);
@@ -315,6 +317,21 @@ class Amount {
     return Amount.encode(value, 8, num);
   }
 
+  /**
+   * Safely convert satoshis to an XEC string
+   * (eCash counts two decimals, like bits).
+   * @param {Amount} value - Satoshis.
+   * @param {Boolean?} num
+   * @returns {String} XEC string.
+   */
+
+  static xec(value, num) {
+    if (typeof value === 'string')
+      return value;
+
+    return Amount.encode(value, 2, num);
+  }
+
   /**
    * Safely convert a BTC string to satoshis.
    * @param {String} str - BTC
@@ -72,6 +72,8 @@ class CoinEntry {
     coin.value = this.output.value;
     coin.hash = prevout.hash;
     coin.index = prevout.index;
+    if (this.output.slp)
+      coin.slp = this.output.slp;
     return coin;
   }
 
@@ -109,6 +111,8 @@ class CoinEntry {
     this.coinbase = coin.coinbase;
     this.output.script = coin.script;
     this.output.value = coin.value;
+    if (coin.slp)
+      this.output.slp = coin.slp;
     return this;
   }
 
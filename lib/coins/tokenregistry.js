@@ -0,0 +1,353 @@
+/*!
+ * tokenregistry.js - token metadata registry for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const LRU = require('blru');
+const {BufferMap} = require('buffer-map');
+const SLP = require('../script/slp');
+
+/*
+ * Database Layout:
+ *   V -> db version
+ *   t[token-id] -> token record
+ */
+
+let layout = null;
+
+/**
+ * Token Registry
+ * Token metadata (GENESIS records) keyed by token id, kept
+ * in memory or in a bdb database. Misses can be resolved
+ * through an asynchronous loader, e.g. an indexer client.
+ * @alias module:coins.TokenRegistry
+ * @property {DB|null} db - Database (bdb backend only).
+ * @property {BufferMap} store - Serialized records (memory backend only).
+ * @property {LRU} cache - Deserialized records.
+ * @property {Function|null} loader - async tokenId -> TokenRecord|null.
+ */
+
+class TokenRegistry {
+  /**
+   * Create a token registry.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.db = null;
+    this.store = new BufferMap();
+    this.cache = new LRU(TokenRegistry.CACHE_SIZE, null, BufferMap);
+    this.loader = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @param {String?} options.backend - `memory` (default) or `bdb`.
+   * @param {String?} options.location - Database location (bdb).
+   * @param {Boolean?} options.memory - Keep bdb in memory (testing).
+   * @param {Function?} options.loader - Resolves cache misses.
+   * @param {Number?} options.cacheSize
+   * @returns {TokenRegistry}
+   */
+
+  fromOptions(options) {
+    assert(options, 'Registry options are required.');
+
+    if (options.cacheSize != null) {
+      assert((options.cacheSize >>> 0) === options.cacheSize,
+        'Cache size must be a uint32.');
+      this.cache = new LRU(options.cacheSize, null, BufferMap);
+    }
+
+    if (options.loader != null) {
+      assert(typeof options.loader === 'function',
+        'Loader must be a function.');
+      this.loader = options.loader;
+    }
+
+    if (options.backend != null && options.backend !== 'memory') {
+      assert(options.backend === 'bdb', 'Unknown registry backend.');
+
+      // Loaded here to keep bdb out of browser bundles.
+      const bdb = require('bdb');
+
+      if (!layout)
+        layout = createLayout(bdb);
+
+      this.db = bdb.create({
+        location: options.location,
+        memory: options.memory === true
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a token registry from options.
+   * @param {Object} options
+   * @returns {TokenRegistry}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Open the database (bdb backend only).
+   * @returns {Promise}
+   */
+
+  async open() {
+    if (!this.db)
+      return;
+
+    await this.db.open();
+    await this.db.verify(layout.V.encode(), 'tokens', 0);
+  }
+
+  /**
+   * Close the database (bdb backend only).
+   * @returns {Promise}
+   */
+
+  async close() {
+    if (!this.db)
+      return;
+
+    await this.db.close();
+  }
+
+  /**
+   * Add or replace a token record.
+   * @param {TokenRecord} token
+   * @returns {Promise}
+   */
+
+  async add(token) {
+    assert(token && Buffer.isBuffer(token.tokenId),
+      'Token record must have a token id.');
+
+    const raw = token.toDbData();
+
+    if (this.db)
+      await this.db.put(layout.t.encode(token.tokenId), raw);
+    else
+      this.store.set(token.tokenId, raw);
+
+    this.cache.set(token.tokenId, token);
+  }
+
+  /**
+   * Remove a token record.
+   * @param {Buffer} tokenId
+   * @returns {Promise}
+   */
+
+  async remove(tokenId) {
+    tokenId = toTokenId(tokenId);
+
+    if (this.db)
+      await this.db.del(layout.t.encode(tokenId));
+    else
+      this.store.delete(tokenId);
+
+    this.cache.remove(tokenId);
+  }
+
+  /**
+   * Test whether a token is registered
+   * (does not call the loader).
+   * @param {Buffer|String} tokenId
+   * @returns {Promise<Boolean>}
+   */
+
+  async has(tokenId) {
+    tokenId = toTokenId(tokenId);
+
+    if (this.cache.has(tokenId))
+      return true;
+
+    if (this.db)
+      return this.db.has(layout.t.encode(tokenId));
+
+    return this.store.has(tokenId);
+  }
+
+  /**
+   * Get a token record, resolving misses
+   * through the loader and keeping the result.
+   * @param {Buffer|String} tokenId
+   * @returns {Promise<TokenRecord|null>}
+   */
+
+  async get(tokenId) {
+    tokenId = toTokenId(tokenId);
+
+    const cached = this.getCached(tokenId);
+
+    if (cached)
+      return cached;
+
+    if (this.db) {
+      const raw = await this.db.get(layout.t.encode(tokenId));
+
+      if (raw) {
+        const token = SLP.TokenRecord().constructor.fromDbData(raw);
+        this.cache.set(tokenId, token);
+        return token;
+      }
+    }
+
+    if (!this.loader)
+      return null;
+
+    const token = await this.loader(tokenId);
+
+    if (!token)
+      return null;
+
+    assert(token.tokenId && token.tokenId.equals(tokenId),
+      'Loader returned the wrong token.');
+
+    await this.add(token);
+
+    return token;
+  }
+
+  /**
+   * Get a token record without touching the database
+   * or the loader, for synchronous consumers such as
+   * `getJSON()`. The memory backend is always complete.
+   * @param {Buffer|String} tokenId
+   * @returns {TokenRecord|null}
+   */
+
+  getCached(tokenId) {
+    tokenId = toTokenId(tokenId);
+
+    const cached = this.cache.get(tokenId);
+
+    if (cached)
+      return cached;
+
+    const raw = this.store.get(tokenId);
+
+    if (!raw)
+      return null;
+
+    const token = SLP.TokenRecord().constructor.fromDbData(raw);
+
+    this.cache.set(tokenId, token);
+
+    return token;
+  }
+
+  /**
+   * Get all registered token records.
+   * @returns {Promise<TokenRecord[]>}
+   */
+
+  async getAll() {
+    const TokenRecord = SLP.TokenRecord().constructor;
+
+    if (!this.db) {
+      const tokens = [];
+      for (const raw of this.store.values())
+        tokens.push(TokenRecord.fromDbData(raw));
+      return tokens;
+    }
+
+    return this.db.values({
+      gte: layout.t.min(),
+      lte: layout.t.max(),
+      parse: data => TokenRecord.fromDbData(data)
+    });
+  }
+
+  /**
+   * Export all token records as JSON.
+   * @returns {Promise<Object[]>}
+   */
+
+  async exportJSON() {
+    const tokens = await this.getAll();
+    return tokens.map(token => token.getJSON());
+  }
+
+  /**
+   * Import token records from JSON.
+   * @param {Object[]} json
+   * @returns {Promise<Number>} Number of records imported.
+   */
+
+  async importJSON(json) {
+    assert(Array.isArray(json), 'Token list must be an array.');
+
+    const TokenRecord = SLP.TokenRecord().constructor;
+    const tokens = json.map(item => TokenRecord.fromJSON(item));
+
+    if (!this.db) {
+      for (const token of tokens)
+        await this.add(token);
+      return tokens.length;
+    }
+
+    const b = this.db.batch();
+
+    for (const token of tokens)
+      b.put(layout.t.encode(token.tokenId), token.toDbData());
+
+    await b.write();
+
+    for (const token of tokens)
+      this.cache.set(token.tokenId, token);
+
+    return tokens.length;
+  }
+}
+
+/**
+ * Default number of cached token records.
+ * @const {Number}
+ * @default
+ */
+
+TokenRegistry.CACHE_SIZE = 10000;
+
+/*
+ * Helpers
+ */
+
+function createLayout(bdb) {
+  return {
+    V: bdb.key('V'),
+    t: bdb.key('t', ['hash256'])
+  };
+}
+
+function toTokenId(tokenId) {
+  if (typeof tokenId === 'string')
+    tokenId = Buffer.from(tokenId, 'hex');
+
+  assert(Buffer.isBuffer(tokenId) && tokenId.length === 32,
+    'Token id must be a 32 byte hash.');
+
+  return tokenId;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = TokenRegistry;
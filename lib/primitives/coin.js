@@ -103,6 +103,11 @@ class Coin extends Output {
       this.index = options.index;
     }
 
+    if (options.slp) {
+      if (options.slp.constructor === SLP.SlpCoinRecord().constructor)
+        this.slp = options.slp;
+    }
+
     return this;
   }
 
@@ -243,10 +248,11 @@ class Coin extends Output {
    * of little-endian uint256s.
    * @param {Network} network
    * @param {Boolean} minimal
+   * @param {TokenRegistry?} registry - Formats token amounts.
    * @returns {Object}
    */
 
-  getJSON(network, minimal) {
+  getJSON(network, minimal, registry) {
     let addr = this.getAddress();
 
     network = Network.get(network);
@@ -268,7 +274,9 @@ class Coin extends Output {
     if (this.slp) {
       return {
         ...json,
-        slp: this.slp.getJSON()
+        slp: this.slp.getJSON(registry
+          ? registry.getCached(this.slp.tokenId)
+          : null)
       }
     }
     return json;
@@ -429,6 +437,8 @@ class Coin extends Output {
     this.coinbase = tx.isCoinbase();
     this.hash = tx.hash();
     this.index = index;
+    if (tx.outputs[index].slp)
+      this.slp = tx.outputs[index].slp;
     return this;
   }
 
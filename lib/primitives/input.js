@@ -285,10 +285,11 @@ class Input {
    * of little-endian uint256s.
    * @param {Network} network
    * @param {Coin} coin
+   * @param {TokenRegistry?} registry - Formats token amounts.
    * @returns {Object}
    */
 
-  getJSON(network, coin) {
+  getJSON(network, coin, registry) {
     network = Network.get(network);
 
     let addr;
@@ -303,7 +304,7 @@ class Input {
       script: this.script.toJSON(),
       sequence: this.sequence,
       address: addr,
-      coin: coin ? coin.getJSON(network, true) : undefined
+      coin: coin ? coin.getJSON(network, true, registry) : undefined
     };
   }
 
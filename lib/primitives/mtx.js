@@ -10,7 +10,11 @@
 const assert = require('bsert');
 const {encoding} = require('bufio');
 const {BufferMap} = require('buffer-map');
+const {U64} = require('n64');
 const Script = require('../script/script');
+const SLP = require('../script/slp');
+const ALP = require('../script/alp');
+const slpvalidator = require('../script/slpvalidator');
 const TX = require('./tx');
 const Input = require('./input');
 const Output = require('./output');
@@ -32,6 +36,8 @@ const {inspectSymbol} = require('../utils');
  * @extends TX
  * @property {Number} changeIndex
  * @property {CoinView} view
+ * @property {Boolean} burnGuard - Check for token burns before signing.
+ * @property {Set|null} allowBurn - Hex token ids which may be burned.
  */
 
 class MTX extends TX {
@@ -48,6 +54,8 @@ class MTX extends TX {
     this.mutable = true;
     this.changeIndex = -1;
     this.view = new CoinView();
+    this.burnGuard = false;
+    this.allowBurn = null;
 
     if (options)
       this.fromOptions(options);
@@ -94,6 +102,15 @@ class MTX extends TX {
       }
     }
 
+    if (options.burnGuard != null) {
+      assert(typeof options.burnGuard === 'boolean',
+        'Burn guard must be a boolean.');
+      this.burnGuard = options.burnGuard;
+    }
+
+    if (options.allowBurn != null)
+      this.allowBurn = toTokenSet(options.allowBurn);
+
     return this;
   }
 
@@ -117,6 +134,8 @@ class MTX extends TX {
     const mtx = new this.constructor();
     mtx.inject(this);
     mtx.changeIndex = this.changeIndex;
+    mtx.burnGuard = this.burnGuard;
+    mtx.allowBurn = this.allowBurn;
     return mtx;
   }
 
@@ -916,6 +935,9 @@ class MTX extends TX {
 
     assert(ring.privateKey, 'No private key available.');
 
+    if (this.burnGuard)
+      this.checkBurn(this.allowBurn);
+
     let total = 0;
 
     for (let i = 0; i < this.inputs.length; i++) {
@@ -942,6 +964,41 @@ class MTX extends TX {
     return total;
   }
 
+  /**
+   * Get the tokens this transaction would destroy, judging
+   * the token coins in the view against the SLP script
+   * at output 0. If any input is missing from the view,
+   * every token coin in the view is reported.
+   * @returns {SlpBurn[]}
+   */
+
+  getBurns() {
+    const verdict = slpvalidator.verifyTX(this, this.view);
+    return verdict.burns;
+  }
+
+  /**
+   * Ensure signing would not destroy any tokens.
+   * @param {(Set|Array)?} allowBurn - Token ids (hex
+   * or buffers) which may be burned.
+   * @throws {BurnError}
+   */
+
+  checkBurn(allowBurn) {
+    const allowed = allowBurn != null ? toTokenSet(allowBurn) : null;
+    const burns = [];
+
+    for (const burn of this.getBurns()) {
+      if (allowed && allowed.has(burn.tokenId.toString('hex')))
+        continue;
+
+      burns.push(burn);
+    }
+
+    if (burns.length > 0)
+      throw new BurnError(burns);
+  }
+
   /**
    * Sign the transaction inputs on the worker pool
    * (if workers are enabled).
@@ -955,6 +1012,9 @@ class MTX extends TX {
     if (!pool)
       return this.sign(ring, type);
 
+    if (this.burnGuard)
+      this.checkBurn(this.allowBurn);
+
     return await pool.sign(this, ring, type);
   }
 
@@ -1148,6 +1208,9 @@ class MTX extends TX {
     assert(options.changeAddress, 'Change address is required.');
     assert(this.inputs.length === 0, 'TX is already funded.');
 
+    if (options.token)
+      return this.fundToken(coins, options);
+
     // Select necessary coins.
     const select = await this.selectCoins(coins, options);
 
@@ -1182,6 +1245,209 @@ class MTX extends TX {
     return select;
   }
 
+  /**
+   * Add an input spending a type 2 token's mint vault,
+   * templated with the vault redeem script. Sign it with
+   * a key ring whose script is the same redeem script.
+   * @param {Coin} coin - Output paying to the vault.
+   * @param {MintVault|Script} vault - Vault or its redeem script.
+   * @param {TokenRecord?} token - Checked against its vault hash.
+   * @returns {Input}
+   */
+
+  addVaultInput(coin, vault, token) {
+    assert(coin instanceof Coin, 'Vault coin must be a Coin.');
+
+    const redeem = vault instanceof Script ? vault : vault.getRedeem();
+    const hash = redeem.hash160();
+
+    if (token) {
+      assert(token.vaultScriptHash && token.vaultScriptHash.equals(hash),
+        'Redeem script is not the vault of this token.');
+    }
+
+    assert(coin.script.isScripthash()
+      && coin.script.getScripthash().equals(hash),
+      'Coin is not held by the vault.');
+
+    const input = this.addCoin(coin);
+    const stack = new Stack();
+    const [, n] = redeem.getMultisig();
+
+    // Signature slots, as scriptVector() would
+    // build them for a P2PK or multisig redeem.
+    stack.pushInt(0);
+
+    for (let i = 0; i < n; i++)
+      stack.pushInt(0);
+
+    stack.pushData(redeem.toRaw());
+
+    input.script.fromStack(stack);
+
+    return input;
+  }
+
+  /**
+   * Select token coins for an SLP (or ALP) SEND, then fund
+   * fees with plain coins. Token amounts are assigned to the
+   * existing outputs in order, the SEND script is inserted
+   * at output 0 and token change follows the recipients.
+   * @param {Coin[]} coins
+   * @param {Object} options - See {@link MTX#selectCoins} options.
+   * @param {Object} options.token
+   * @param {Buffer|String} options.token.tokenId
+   * @param {Number?} options.token.version - Token type.
+   * @param {(Number|String|U64)?} options.token.amount
+   * @param {Array?} options.token.amounts - One per recipient.
+   * @param {(Address|String)?} options.token.changeAddress
+   * @returns {CoinSelector}
+   */
+
+  async fundToken(coins, options) {
+    const token = options.token;
+
+    assert(token && typeof token === 'object', 'Token options are required.');
+
+    let tokenId = token.tokenId;
+
+    if (typeof tokenId === 'string')
+      tokenId = Buffer.from(tokenId, 'hex');
+
+    assert(Buffer.isBuffer(tokenId) && tokenId.length === 32,
+      'Token id must be a 32 byte hash.');
+
+    let amounts = token.amounts;
+
+    if (amounts == null) {
+      assert(token.amount != null, 'Token amount is required.');
+      amounts = [token.amount];
+    }
+
+    assert(Array.isArray(amounts) && amounts.length > 0,
+      'Token amounts must be an array.');
+
+    amounts = amounts.map(amount => SLP.toU64(amount));
+
+    assert(this.outputs.length >= amounts.length,
+      'Token recipients must be added before funding.');
+
+    let total = new U64(0);
+
+    for (const amount of amounts) {
+      total = total.add(amount);
+      assert(total.gte(amount), 'Token amount overflow.');
+    }
+
+    const select = this.selectTokens(coins, tokenId, total, token.version);
+    const send = amounts.slice();
+
+    if (!select.change.isZero())
+      send.push(select.change);
+
+    if (send.length > SLP.MAX_SEND_OUTPUTS)
+      throw new FundingError('Too many token outputs.');
+
+    const outputs = this.outputs.slice();
+
+    if (select.version === ALP.TOKEN_TYPES.STANDARD) {
+      this.outputs.unshift(Output.fromScript(ALP.fromSend({
+        tokenId,
+        amounts: send
+      }), 0));
+    } else {
+      this.outputs.unshift(Output.fromScript(SLP.fromSend({
+        version: select.version,
+        tokenId,
+        amounts: send
+      }), 0));
+    }
+
+    if (!select.change.isZero()) {
+      const address = token.changeAddress || options.changeAddress;
+      const output = Output.fromScript(address, CoinSelector.TOKEN_VALUE);
+      this.outputs.splice(amounts.length + 1, 0, output);
+    }
+
+    // Token coins go in first as preferred inputs.
+    const inputs = select.chosen.map(({hash, index}) => ({hash, index}));
+
+    if (options.inputs)
+      inputs.push(...options.inputs);
+
+    try {
+      return await this.fund(coins, Object.assign({}, options, {
+        token: null,
+        inputs
+      }));
+    } catch (e) {
+      this.outputs = outputs;
+      throw e;
+    }
+  }
+
+  /**
+   * Select token coins covering an amount, largest first.
+   * Mint batons are never selected.
+   * @param {Coin[]} coins
+   * @param {Buffer} tokenId
+   * @param {U64} value - Base units required.
+   * @param {Number?} version - Token type, inferred if not given.
+   * @returns {Object} chosen coins, token type and U64 change.
+   * @throws {FundingError} on not enough tokens available.
+   */
+
+  selectTokens(coins, tokenId, value, version) {
+    const candidates = [];
+
+    for (const coin of coins) {
+      const {slp} = coin;
+
+      if (!slp || slp.type === 'BATON')
+        continue;
+
+      if (!slp.tokenId.equals(tokenId))
+        continue;
+
+      if (version == null)
+        version = getTokenType(slp);
+
+      if (getTokenType(slp) !== version)
+        continue;
+
+      if (this.view.hasEntry(coin))
+        continue;
+
+      candidates.push(coin);
+    }
+
+    candidates.sort(sortTokenValue);
+
+    const chosen = [];
+
+    let total = new U64(0);
+
+    for (const coin of candidates) {
+      if (total.gte(value))
+        break;
+
+      total = total.add(getTokenValue(coin));
+      chosen.push(coin);
+    }
+
+    if (total.lt(value)) {
+      throw new FundingError(
+        `Not enough tokens (available=${total.toString(10)},`
+        + ` required=${value.toString(10)}).`);
+    }
+
+    return {
+      chosen,
+      version: version == null ? 1 : version,
+      change: total.sub(value)
+    };
+  }
+
   /**
    * Sort inputs and outputs according to BIP69.
    * @see https://github.com/bitcoin/bips/blob/master/bip-0069.mediawiki
@@ -1623,6 +1889,11 @@ class CoinSelector {
     if (this.tx.view.hasEntry(coin))
       return false;
 
+    // Never spend tokens as fee money. Token
+    // coins must be passed as preferred inputs.
+    if (coin.slp)
+      return false;
+
     if (this.height === -1)
       return true;
 
@@ -1827,6 +2098,15 @@ CoinSelector.MIN_FEE = 10000;
 
 CoinSelector.MAX_FEE = consensus.COIN / 10;
 
+/**
+ * Value of the output carrying
+ * token change.
+ * @const {Amount}
+ * @default
+ */
+
+CoinSelector.TOKEN_VALUE = 546;
+
 /**
  * Funding Error
  * An error thrown from the coin selector.
@@ -1866,10 +2146,63 @@ class FundingError extends Error {
   }
 }
 
+/**
+ * Burn Error
+ * An error thrown when a transaction would destroy tokens.
+ * @ignore
+ * @extends Error
+ * @property {String} message - Error message.
+ * @property {SlpBurn[]} burns
+ */
+
+class BurnError extends Error {
+  /**
+   * Create a burn error.
+   * @constructor
+   * @param {SlpBurn[]} burns
+   */
+
+  constructor(burns) {
+    super();
+
+    this.type = 'BurnError';
+    this.message = 'Transaction would burn tokens:';
+    this.burns = burns;
+
+    for (const burn of burns) {
+      this.message += ` ${burn.tokenId.toString('hex')}`;
+      this.message += ` (value=${burn.value.toString(10)},`;
+      this.message += ` batons=${burn.batons})`;
+    }
+
+    if (Error.captureStackTrace)
+      Error.captureStackTrace(this, BurnError);
+  }
+}
+
 /*
  * Helpers
  */
 
+function toTokenSet(tokenIds) {
+  assert(tokenIds instanceof Set || Array.isArray(tokenIds),
+    'Allowed burns must be a set or an array.');
+
+  const set = new Set();
+
+  for (const tokenId of tokenIds) {
+    if (Buffer.isBuffer(tokenId)) {
+      set.add(tokenId.toString('hex'));
+      continue;
+    }
+
+    assert(typeof tokenId === 'string', 'Token id must be a hex string.');
+    set.add(tokenId.toLowerCase());
+  }
+
+  return set;
+}
+
 function sortAge(a, b) {
   a = a.height === -1 ? 0x7fffffff : a.height;
   b = b.height === -1 ? 0x7fffffff : b.height;
@@ -1890,6 +2223,18 @@ function sortValue(a, b) {
   return b.value - a.value;
 }
 
+function sortTokenValue(a, b) {
+  return getTokenValue(b).cmp(getTokenValue(a));
+}
+
+function getTokenType(slp) {
+  return slp.version != null ? slp.version : 1;
+}
+
+function getTokenValue(coin) {
+  return U64.fromBE(coin.slp.getValueUInt64BE());
+}
+
 function sortInputs(a, b) {
   return a.compare(b);
 }
@@ -1906,5 +2251,6 @@ exports = MTX;
 exports.MTX = MTX;
 exports.Selector = CoinSelector;
 exports.FundingError = FundingError;
+exports.BurnError = BurnError;
 
 module.exports = exports;
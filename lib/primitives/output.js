@@ -224,10 +224,11 @@ class Output {
    * Convert the output to an object suitable
    * for JSON serialization.
    * @param {Network} network
+   * @param {TokenRegistry?} registry - Formats token amounts.
    * @returns {Object}
    */
 
-  getJSON(network) {
+  getJSON(network, registry) {
     let addr = this.getAddress();
 
     network = Network.get(network);
@@ -244,7 +245,9 @@ class Output {
     if (this.slp) {
       return {
         ...json,
-        slp: this.slp.getJSON()
+        slp: this.slp.getJSON(registry
+          ? registry.getCached(this.slp.tokenId)
+          : null)
       }
     }
     return json;
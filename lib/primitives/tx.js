@@ -17,6 +17,7 @@ const Amount = require('../btc/amount');
 const Network = require('../protocol/network');
 const Script = require('../script/script');
 const SLP = require('../script/slp');
+const ALP = require('../script/alp');
 const Input = require('./input');
 const Output = require('./output');
 const Outpoint = require('./outpoint');
@@ -867,6 +868,86 @@ class TX {
     return this.inputs.length === 1 && this.inputs[0].prevout.isNull();
   }
 
+  /**
+   * Get the token records of the transaction's own token
+   * script: SLP or ALP at output 0, or an SLP SEND or BURN
+   * at a later output (read with `nonStandardOuts`).
+   * @param {Buffer?} groupId - NFT1 group of a child GENESIS.
+   * @returns {(SlpCoinRecord | TokenRecord)[]}
+   */
+
+  getSlpRecords(groupId) {
+    const txid = Buffer.from(this.hash()).reverse();
+
+    for (let i = 0; i < this.outputs.length; i++) {
+      const {script} = this.outputs[i];
+
+      if (!script.isUnspendable())
+        continue;
+
+      if (i === 0 && ALP.isEMPP(script)) {
+        const alp = ALP.fromScript(script);
+
+        if (alp.isValidAlp())
+          return alp.getRecords(txid);
+
+        continue;
+      }
+
+      const slp = SLP.fromScript(script);
+
+      if (!slp.isValidSlp())
+        continue;
+
+      if (i === 0)
+        return slp.getRecords(txid, groupId);
+
+      switch (slp.getType()) {
+        case 'SEND':
+          return slp.getSendRecords(txid, true);
+        case 'BURN':
+          return slp.getBurnRecords(txid, true);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Attach the token records of the transaction's
+   * own token script to its outputs (`slp`) and
+   * the GENESIS record to `slpToken`.
+   * @param {Buffer?} groupId - NFT1 group of a child GENESIS.
+   * @returns {TX}
+   */
+
+  annotateSlp(groupId) {
+    this.slpToken = null;
+
+    for (const output of this.outputs)
+      output.slp = null;
+
+    for (const record of this.getSlpRecords(groupId)) {
+      if (record instanceof SLP.TokenRecord().constructor) {
+        this.slpToken = record;
+        continue;
+      }
+
+      if (record.type === 'BURN')
+        continue;
+
+      const output = this.outputs[record.vout];
+
+      // Never color missing or unspendable outputs.
+      if (!output || output.script.isUnspendable())
+        continue;
+
+      output.slp = record;
+    }
+
+    return this;
+  }
+
   /**
    * Test whether the transaction is replaceable.
    * @returns {Boolean}
@@ -1902,10 +1983,11 @@ class TX {
    * @param {CoinView} view
    * @param {ChainEntry} entry
    * @param {Number} index
+   * @param {TokenRegistry?} registry - Formats token amounts.
    * @returns {Object}
    */
 
-  getJSON(network, view, entry, index) {
+  getJSON(network, view, entry, index, registry) {
     let rate, fee, height, block, time, date;
 
     if (view) {
@@ -1939,10 +2021,10 @@ class TX {
       version: this.version,
       inputs: this.inputs.map((input) => {
         const coin = view ? view.getCoinFor(input) : null;
-        return input.getJSON(network, coin);
+        return input.getJSON(network, coin, registry);
       }),
       outputs: this.outputs.map((output) => {
-        return output.getJSON(network);
+        return output.getJSON(network, registry);
       }),
       locktime: this.locktime,
       hex: this.toRaw().toString('hex')
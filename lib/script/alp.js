@@ -0,0 +1,702 @@
+/*!
+ * alp.js - augmented ledger protocol script for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const bio = require('bufio');
+const {U64} = require('n64');
+const Script = require('./script');
+const Opcode = require('./opcode');
+const SLP = require('./slp');
+const common = require('./common');
+const opcodes = common.opcodes;
+
+/*
+ * Constants
+ */
+
+const LOKAD_ID = Buffer.from('SLP2', 'ascii');
+const MAX_AMOUNT = 0xffffffffffff;
+
+const TOKEN_TYPES = {
+  STANDARD: 0x00
+};
+
+const TX_TYPES = [
+  'GENESIS',
+  'MINT',
+  'SEND',
+  'BURN'
+];
+
+/**
+ * ALP
+ * An eMPP (OP_RETURN OP_RESERVED followed by pushes) script
+ * carrying Augmented Ledger Protocol sections. A single script
+ * may move several tokens; records use the SLP record formats
+ * with token type 0x00.
+ * @alias module:script.ALP
+ * @extends Script
+ */
+
+class ALP extends Script {
+  /**
+   * Create an ALP script.
+   * @constructor
+   * @param {Buffer|Array|Object} code
+   */
+
+  constructor(options) {
+    super(options);
+
+    this.sections = null;
+  }
+
+  /**
+   * Test whether the script is an eMPP script
+   * with well-formed ALP sections (does not test
+   * whether the transaction is valid).
+   * @returns {Boolean}
+   */
+
+  isValidAlp() {
+    try {
+      return this.getSections().length > 0;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse the ALP sections of the script. Pushes
+   * with a foreign lokad are skipped, sections of
+   * unknown token types are returned untyped.
+   * @returns {Object[]}
+   * @throws on a malformed eMPP script or ALP section.
+   */
+
+  getSections() {
+    if (this.sections)
+      return this.sections;
+
+    assert(this.getOp(0) === opcodes.OP_RETURN, 'Not an OP_RETURN script.');
+    assert(this.getOp(1) === opcodes.OP_RESERVED, 'Not an eMPP script.');
+    assert(this.code.length > 2, 'eMPP script has no pushes.');
+
+    const sections = [];
+    const seen = new Set();
+    const colored = new Set();
+
+    for (let i = 2; i < this.code.length; i++) {
+      const op = this.code[i];
+
+      // eMPP only allows non-empty data pushes.
+      assert(op.value > opcodes.OP_0 && op.value <= opcodes.OP_PUSHDATA4,
+        'eMPP pushes must be data pushes.');
+      assert(op.data && op.data.length > 0, 'eMPP pushes must not be empty.');
+
+      if (op.data.length < LOKAD_ID.length)
+        continue;
+
+      if (!op.data.slice(0, LOKAD_ID.length).equals(LOKAD_ID))
+        continue;
+
+      const section = decodeSection(op.data);
+
+      if (section.type === null) {
+        sections.push(section);
+        continue;
+      }
+
+      if (section.type === 'GENESIS') {
+        assert(sections.length === 0, 'GENESIS must be the first section.');
+      } else {
+        // A token may be moved and burned once each.
+        const hex = section.tokenId.toString('hex');
+        const key = section.type === 'BURN' ? `burn:${hex}` : hex;
+
+        assert(!seen.has(key), 'Duplicate ALP section for token.');
+
+        seen.add(key);
+      }
+
+      // An output may only carry one token.
+      for (const vout of getOutputs(section)) {
+        assert(!colored.has(vout), 'Output colored by several sections.');
+        colored.add(vout);
+      }
+
+      sections.push(section);
+    }
+
+    this.sections = sections;
+
+    return sections;
+  }
+
+  /**
+   * Inject properties from a script.
+   * @private
+   * @param {Script} script
+   * @returns {ALP}
+   */
+
+  fromScript(script) {
+    this.inject(script);
+    this.sections = null;
+    return this;
+  }
+
+  /**
+   * Inject properties from a script.
+   * @param {Script} script
+   * @returns {ALP}
+   */
+
+  static fromScript(script) {
+    return new this().fromScript(script);
+  }
+
+  /**
+   * Inject properties from section options.
+   * @private
+   * @param {Object[]} sections - Options for {@link ALP#fromGenesis},
+   * {@link ALP#fromMint}, {@link ALP#fromSend} or {@link ALP#fromBurn}
+   * with an additional `type` property.
+   * @returns {ALP}
+   */
+
+  fromSections(sections) {
+    assert(Array.isArray(sections) && sections.length > 0,
+      'Sections must be a non-empty array.');
+
+    this.clear();
+    this.pushOp(opcodes.OP_RETURN);
+    this.pushOp(opcodes.OP_RESERVED);
+
+    for (const section of sections)
+      this.push(Opcode.fromPush(encodeSection(section)));
+
+    return this.compile();
+  }
+
+  /**
+   * Create an eMPP script from section options.
+   * @param {Object[]} sections - See {@link ALP#fromSections}.
+   * @returns {ALP}
+   */
+
+  static fromSections(sections) {
+    return new this().fromSections(sections);
+  }
+
+  /**
+   * Inject properties from GENESIS options.
+   * @private
+   * @param {Object} options
+   * @param {String|Buffer?} options.ticker
+   * @param {String|Buffer?} options.name
+   * @param {String|Buffer?} options.url
+   * @param {Buffer?} options.data
+   * @param {Buffer?} options.authPubkey
+   * @param {Number?} options.decimals
+   * @param {Array?} options.amounts - Minted to outputs 1..n.
+   * @param {Number?} options.batons - Mint batons following the amounts.
+   * @returns {ALP}
+   */
+
+  fromGenesis(options) {
+    return this.fromSections([Object.assign({}, options, {type: 'GENESIS'})]);
+  }
+
+  /**
+   * Create a GENESIS script.
+   * @param {Object} options - See {@link ALP#fromGenesis}.
+   * @returns {ALP}
+   */
+
+  static fromGenesis(options) {
+    return new this().fromGenesis(options);
+  }
+
+  /**
+   * Inject properties from MINT options.
+   * @private
+   * @param {Object} options
+   * @param {Buffer|String} options.tokenId
+   * @param {Array?} options.amounts - Minted to outputs 1..n.
+   * @param {Number?} options.batons - Mint batons following the amounts.
+   * @returns {ALP}
+   */
+
+  fromMint(options) {
+    return this.fromSections([Object.assign({}, options, {type: 'MINT'})]);
+  }
+
+  /**
+   * Create a MINT script.
+   * @param {Object} options - See {@link ALP#fromMint}.
+   * @returns {ALP}
+   */
+
+  static fromMint(options) {
+    return new this().fromMint(options);
+  }
+
+  /**
+   * Inject properties from SEND options.
+   * @private
+   * @param {Object} options
+   * @param {Buffer|String} options.tokenId
+   * @param {Array} options.amounts - Sent to outputs 1..n.
+   * @returns {ALP}
+   */
+
+  fromSend(options) {
+    return this.fromSections([Object.assign({}, options, {type: 'SEND'})]);
+  }
+
+  /**
+   * Create a SEND script.
+   * @param {Object} options - See {@link ALP#fromSend}.
+   * @returns {ALP}
+   */
+
+  static fromSend(options) {
+    return new this().fromSend(options);
+  }
+
+  /**
+   * Inject properties from BURN options.
+   * @private
+   * @param {Object} options
+   * @param {Buffer|String} options.tokenId
+   * @param {Number|String|U64} options.amount - Burned quantity.
+   * @returns {ALP}
+   */
+
+  fromBurn(options) {
+    return this.fromSections([Object.assign({}, options, {type: 'BURN'})]);
+  }
+
+  /**
+   * Create a BURN script.
+   * @param {Object} options - See {@link ALP#fromBurn}.
+   * @returns {ALP}
+   */
+
+  static fromBurn(options) {
+    return new this().fromBurn(options);
+  }
+
+  /**
+   * Get the records for all sections of this script.
+   * @param {Buffer} txId - The txid (display order) of
+   * the transaction containing this script.
+   * @returns {(SlpCoinRecord | TokenRecord)[]}
+   */
+
+  getRecords(txId) {
+    assert(Buffer.isBuffer(txId) && txId.length === 32,
+      'txId must be a sha256 hash');
+
+    const hash = Buffer.from(txId).reverse();
+    const records = [];
+
+    for (const section of this.getSections()) {
+      if (section.type === null)
+        continue;
+
+      const tokenId = section.type === 'GENESIS' ? txId : section.tokenId;
+      const version = section.tokenType;
+
+      if (section.type === 'GENESIS') {
+        const {genesis} = section;
+        records.push(SLP.TokenRecord({
+          tokenId,
+          version,
+          ticker: genesis.ticker.toString('utf8'),
+          name: genesis.name.toString('utf8'),
+          uri: genesis.url.toString('utf8'),
+          hash: genesis.data.toString('hex'),
+          decimals: genesis.decimals
+        }));
+      }
+
+      if (section.type === 'BURN') {
+        records.push(SLP.SlpCoinRecord({
+          hash,
+          vout: 0,
+          tokenId,
+          value: toValue(section.amount),
+          type: 'BURN',
+          version
+        }));
+        continue;
+      }
+
+      for (let i = 0; i < section.amounts.length; i++) {
+        if (section.amounts[i] === 0)
+          continue;
+
+        records.push(SLP.SlpCoinRecord({
+          hash,
+          vout: i + 1,
+          tokenId,
+          value: toValue(section.amounts[i]),
+          type: section.type,
+          version
+        }));
+      }
+
+      for (let i = 0; i < section.batons; i++) {
+        records.push(SLP.SlpCoinRecord({
+          hash,
+          vout: section.amounts.length + i + 1,
+          tokenId,
+          value: toValue(1),
+          type: 'BATON',
+          version
+        }));
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Get the transaction type of the first typed section.
+   * @returns {String|null}
+   */
+
+  getType() {
+    for (const section of this.getSections()) {
+      if (section.type !== null)
+        return section.type;
+    }
+    return null;
+  }
+
+  /**
+   * Get the token type of the first typed section.
+   * @returns {Number}
+   */
+
+  getVersion() {
+    for (const section of this.getSections()) {
+      if (section.type !== null)
+        return section.tokenType;
+    }
+    return -1;
+  }
+
+  /**
+   * Re-encode the script internally. Useful if you
+   * changed something manually in the `code` array.
+   * @returns {ALP}
+   */
+
+  compile() {
+    super.compile();
+
+    this.sections = null;
+
+    return this;
+  }
+
+  /**
+   * Inspect the script.
+   * @returns {String} Human-readable script code.
+   */
+
+  inspect() {
+    return `<ALP: ${this.toString()}>`;
+  }
+
+  /**
+   * Test whether a script is an eMPP script.
+   * @param {Script} script
+   * @returns {Boolean}
+   */
+
+  static isEMPP(script) {
+    return script.getOp(0) === opcodes.OP_RETURN
+      && script.getOp(1) === opcodes.OP_RESERVED;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function decodeSection(data) {
+  const br = bio.read(data);
+
+  br.seek(LOKAD_ID.length);
+
+  const tokenType = br.readU8();
+
+  // Unknown token types cannot be parsed further.
+  if (tokenType !== TOKEN_TYPES.STANDARD)
+    return {tokenType, type: null};
+
+  const type = br.readBytes(br.readU8()).toString('ascii');
+
+  assert(TX_TYPES.includes(type), 'Unknown ALP transaction type.');
+
+  const section = {
+    tokenType,
+    type,
+    tokenId: null,
+    genesis: null,
+    amounts: [],
+    batons: 0,
+    amount: 0
+  };
+
+  switch (type) {
+    case 'GENESIS': {
+      section.genesis = {
+        ticker: br.readVarBytes(),
+        name: br.readVarBytes(),
+        url: br.readVarBytes(),
+        data: br.readVarBytes(),
+        authPubkey: br.readVarBytes(),
+        decimals: br.readU8()
+      };
+      assert(section.genesis.decimals <= 9, 'Too many decimals.');
+      readMintData(br, section);
+      break;
+    }
+    case 'MINT': {
+      section.tokenId = readTokenId(br);
+      readMintData(br, section);
+      break;
+    }
+    case 'SEND': {
+      section.tokenId = readTokenId(br);
+      section.amounts = readAmounts(br);
+      assert(section.amounts.length > 0, 'SEND without amounts.');
+      break;
+    }
+    case 'BURN': {
+      section.tokenId = readTokenId(br);
+      section.amount = br.readU48();
+      break;
+    }
+  }
+
+  assert(br.left() === 0, 'Trailing bytes in ALP section.');
+
+  return section;
+}
+
+function readTokenId(br) {
+  // ALP stores token ids in tx hash byte order.
+  return Buffer.from(br.readBytes(32)).reverse();
+}
+
+function readAmounts(br) {
+  const count = br.readVarint();
+  const amounts = [];
+
+  assert(count <= br.left() / 6, 'Too many amounts.');
+
+  for (let i = 0; i < count; i++)
+    amounts.push(br.readU48());
+
+  return amounts;
+}
+
+function readMintData(br, section) {
+  section.amounts = readAmounts(br);
+  section.batons = br.readVarint();
+  assert(section.amounts.length + section.batons <= 0xff,
+    'Too many mint outputs.');
+}
+
+function getOutputs(section) {
+  const outputs = [];
+
+  if (section.type === 'BURN')
+    return outputs;
+
+  for (let i = 0; i < section.amounts.length; i++) {
+    if (section.amounts[i] !== 0)
+      outputs.push(i + 1);
+  }
+
+  for (let i = 0; i < section.batons; i++)
+    outputs.push(section.amounts.length + i + 1);
+
+  return outputs;
+}
+
+function encodeSection(options) {
+  assert(options && typeof options === 'object', 'Section is required.');
+  assert(TX_TYPES.includes(options.type), 'Unknown ALP transaction type.');
+
+  const bw = bio.write(getSectionSize(options));
+
+  bw.writeBytes(LOKAD_ID);
+  bw.writeU8(TOKEN_TYPES.STANDARD);
+  bw.writeU8(options.type.length);
+  bw.writeString(options.type, 'ascii');
+
+  switch (options.type) {
+    case 'GENESIS': {
+      const decimals = options.decimals != null ? options.decimals : 0;
+
+      assert((decimals >>> 0) === decimals && decimals <= 9,
+        'Decimals must be between 0 and 9.');
+
+      bw.writeVarBytes(getBytes(options.ticker));
+      bw.writeVarBytes(getBytes(options.name));
+      bw.writeVarBytes(getBytes(options.url));
+      bw.writeVarBytes(getBytes(options.data));
+      bw.writeVarBytes(getBytes(options.authPubkey));
+      bw.writeU8(decimals);
+      writeMintData(bw, options);
+      break;
+    }
+    case 'MINT': {
+      bw.writeBytes(getTokenId(options.tokenId));
+      writeMintData(bw, options);
+      break;
+    }
+    case 'SEND': {
+      const amounts = getAmounts(options.amounts);
+      assert(amounts.length > 0, 'SEND requires amounts.');
+      bw.writeBytes(getTokenId(options.tokenId));
+      bw.writeVarint(amounts.length);
+      for (const amount of amounts)
+        bw.writeU48(amount);
+      break;
+    }
+    case 'BURN': {
+      bw.writeBytes(getTokenId(options.tokenId));
+      bw.writeU48(getAmount(options.amount));
+      break;
+    }
+  }
+
+  return bw.render();
+}
+
+function getSectionSize(options) {
+  const {encoding} = bio;
+
+  let size = LOKAD_ID.length + 1 + 1 + options.type.length;
+
+  switch (options.type) {
+    case 'GENESIS':
+      for (const field of ['ticker', 'name', 'url', 'data', 'authPubkey'])
+        size += encoding.sizeVarBytes(getBytes(options[field]));
+      size += 1;
+      size += getMintDataSize(options);
+      break;
+    case 'MINT':
+      size += 32 + getMintDataSize(options);
+      break;
+    case 'SEND':
+      size += 32 + getAmountsSize(getAmounts(options.amounts));
+      break;
+    case 'BURN':
+      size += 32 + 6;
+      break;
+  }
+
+  return size;
+}
+
+function getMintDataSize(options) {
+  const {encoding} = bio;
+  const amounts = getAmounts(options.amounts || []);
+  return getAmountsSize(amounts) + encoding.sizeVarint(getBatons(options));
+}
+
+function getAmountsSize(amounts) {
+  return bio.encoding.sizeVarint(amounts.length) + amounts.length * 6;
+}
+
+function writeMintData(bw, options) {
+  const amounts = getAmounts(options.amounts || []);
+  const batons = getBatons(options);
+
+  assert(amounts.length + batons <= 0xff, 'Too many mint outputs.');
+
+  bw.writeVarint(amounts.length);
+
+  for (const amount of amounts)
+    bw.writeU48(amount);
+
+  bw.writeVarint(batons);
+}
+
+function getBatons(options) {
+  const batons = options.batons != null ? options.batons : 0;
+  assert((batons >>> 0) === batons, 'Batons must be a uint32.');
+  return batons;
+}
+
+function getBytes(value) {
+  if (value == null)
+    return Buffer.alloc(0);
+
+  if (typeof value === 'string')
+    return Buffer.from(value, 'utf8');
+
+  assert(Buffer.isBuffer(value), 'Field must be a string or buffer.');
+
+  return value;
+}
+
+function getTokenId(tokenId) {
+  if (typeof tokenId === 'string')
+    tokenId = Buffer.from(tokenId, 'hex');
+
+  assert(Buffer.isBuffer(tokenId), 'tokenId must be a buffer.');
+  assert(tokenId.length === 32, 'tokenId must be a sha256 hash.');
+
+  return Buffer.from(tokenId).reverse();
+}
+
+function getAmounts(amounts) {
+  assert(Array.isArray(amounts), 'Amounts must be an array.');
+  return amounts.map(getAmount);
+}
+
+function getAmount(value) {
+  if (U64.isU64(value)) {
+    assert(value.lten(MAX_AMOUNT), 'Token amount exceeds 48 bits.');
+    value = value.toNumber();
+  }
+
+  if (typeof value === 'string') {
+    assert(/^\d+$/.test(value), 'Token amount must be a decimal string.');
+    value = Number(value);
+  }
+
+  assert(Number.isSafeInteger(value) && value >= 0 && value <= MAX_AMOUNT,
+    'Token amount must be a uint48.');
+
+  return value;
+}
+
+function toValue(amount) {
+  return U64.fromNumber(amount).toBE(Buffer);
+}
+
+/*
+ * Expose
+ */
+
+ALP.LOKAD_ID = LOKAD_ID;
+ALP.TOKEN_TYPES = TOKEN_TYPES;
+ALP.MAX_AMOUNT = MAX_AMOUNT;
+
+module.exports = ALP;
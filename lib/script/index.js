@@ -14,8 +14,13 @@ exports.common = require('./common');
 exports.Opcode = require('./opcode');
 exports.Script = require('./script');
 exports.ScriptError = require('./scripterror');
+exports.SlpParseError = require('./slpparseerror');
 exports.ScriptNum = require('./scriptnum');
 exports.sigcache = require('./sigcache');
 exports.Stack = require('./stack');
 exports.Metrics = require('./metrics');
 exports.SLP = require('./slp');
+exports.ALP = require('./alp');
+exports.MintVault = require('./mintvault');
+exports.slpvalidator = require('./slpvalidator');
+exports.SlpDAG = require('./slpdag');
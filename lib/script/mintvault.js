@@ -0,0 +1,175 @@
+/*!
+ * mintvault.js - slp token type 2 mint vault for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Address = require('../primitives/address');
+const Script = require('./script');
+
+/**
+ * Mint Vault
+ * The P2SH output a type 2 token mints from. A token's
+ * GENESIS commits to the hash of the vault redeem script,
+ * every MINT must spend an output paying to that hash.
+ * The standard vault locks the redeem script to a single
+ * key (P2PK) or to m of n keys (bare multisig).
+ * @alias module:script.MintVault
+ * @property {Number} m
+ * @property {Buffer[]} keys
+ */
+
+class MintVault {
+  /**
+   * Create a mint vault.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor(options) {
+    this.m = 1;
+    this.keys = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @param {Buffer?} options.key - Single vault key.
+   * @param {Buffer[]?} options.keys - Multisig vault keys.
+   * @param {Number?} options.m - Required signatures.
+   * @returns {MintVault}
+   */
+
+  fromOptions(options) {
+    assert(options, 'Vault options are required.');
+
+    if (options.key) {
+      assert(Buffer.isBuffer(options.key), 'Vault key must be a buffer.');
+      return this.fromKeys(1, [options.key]);
+    }
+
+    assert(Array.isArray(options.keys), 'Vault keys are required.');
+
+    const m = options.m != null ? options.m : 1;
+
+    return this.fromKeys(m, options.keys);
+  }
+
+  /**
+   * Instantiate a mint vault from options.
+   * @param {Object} options
+   * @returns {MintVault}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Inject properties from keys.
+   * @private
+   * @param {Number} m
+   * @param {Buffer[]} keys
+   * @returns {MintVault}
+   */
+
+  fromKeys(m, keys) {
+    assert(Array.isArray(keys) && keys.length > 0, 'Vault keys are required.');
+    assert((m & 0xff) === m && m >= 1 && m <= keys.length,
+      'Vault threshold must be between 1 and the number of keys.');
+
+    for (const key of keys)
+      assert(Buffer.isBuffer(key), 'Vault key must be a buffer.');
+
+    this.m = m;
+    this.keys = keys.slice();
+
+    return this;
+  }
+
+  /**
+   * Instantiate a mint vault from keys.
+   * @param {Number} m
+   * @param {Buffer[]} keys
+   * @returns {MintVault}
+   */
+
+  static fromKeys(m, keys) {
+    return new this().fromKeys(m, keys);
+  }
+
+  /**
+   * Instantiate a single key mint vault.
+   * @param {Buffer} key
+   * @returns {MintVault}
+   */
+
+  static fromKey(key) {
+    return new this().fromOptions({key});
+  }
+
+  /**
+   * Get the vault redeem script.
+   * @returns {Script}
+   */
+
+  getRedeem() {
+    if (this.keys.length === 1)
+      return Script.fromPubkey(this.keys[0]);
+
+    return Script.fromMultisig(this.m, this.keys.length, this.keys);
+  }
+
+  /**
+   * Get the hash committed to by a type 2 GENESIS.
+   * @returns {Buffer}
+   */
+
+  getScriptHash() {
+    return this.getRedeem().hash160();
+  }
+
+  /**
+   * Get the P2SH output script of the vault.
+   * @returns {Script}
+   */
+
+  getScript() {
+    return Script.fromScripthash(this.getScriptHash());
+  }
+
+  /**
+   * Get the vault address.
+   * @returns {Address}
+   */
+
+  getAddress() {
+    return Address.fromScripthash(this.getScriptHash());
+  }
+
+  /**
+   * Test whether this is the vault of a token.
+   * @param {TokenRecord} token
+   * @returns {Boolean}
+   */
+
+  isVaultOf(token) {
+    if (!token || !token.vaultScriptHash)
+      return false;
+
+    return this.getScriptHash().equals(token.vaultScriptHash);
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = MintVault;
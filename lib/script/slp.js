@@ -10,8 +10,49 @@ const assert = require('bsert');
 const bio = require('bufio');
 const {U64} = require('n64');
 const consensus = require('../protocol/consensus');
+const fixed = require('../utils/fixed');
+const sha256 = require('../bcrypto/sha256');
 const Script = require('./script');
 const ScriptNum = require('./scriptnum');
+const Opcode = require('./opcode');
+const common = require('./common');
+const SlpParseError = require('./slpparseerror');
+const opcodes = common.opcodes;
+
+/*
+ * Constants
+ */
+
+const LOKAD_ID = Buffer.from('534c5000', 'hex');
+const EMPTY_PUSH = Opcode.fromRaw(Buffer.from([opcodes.OP_PUSHDATA1, 0x00]));
+const MAX_SEND_OUTPUTS = 19;
+const MAX_TICKER_LENGTH = 16;
+const MAX_NAME_LENGTH = 64;
+
+// Characters which render like latin letters,
+// folded before lookalike comparison.
+const CONFUSABLES = {
+  'А': 'a', 'В': 'b', 'Е': 'e', 'К': 'k', 'М': 'm', 'Н': 'h', 'О': 'o',
+  'Р': 'p', 'С': 'c', 'Т': 't', 'У': 'y', 'Х': 'x', 'Ѕ': 's', 'І': 'i',
+  'Ј': 'j', 'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y',
+  'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  'Α': 'a', 'Β': 'b', 'Ε': 'e', 'Ζ': 'z', 'Η': 'h', 'Ι': 'i', 'Κ': 'k',
+  'Μ': 'm', 'Ν': 'n', 'Ο': 'o', 'Ρ': 'p', 'Τ': 't', 'Υ': 'y', 'Χ': 'x',
+  'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u',
+  '0': 'o', '1': 'l', '|': 'l', '$': 's'
+};
+
+/**
+ * SLP token types (version byte).
+ * @enum {Number}
+ */
+
+const TOKEN_TYPES = {
+  TYPE_1: 0x01,
+  MINT_VAULT: 0x02,
+  NFT1_CHILD: 0x41,
+  NFT1_GROUP: 0x81
+};
 
 /**
  * SLP Coin Record
@@ -83,7 +124,7 @@ class SlpCoinRecord {
       else throw(err)
     }
 
-    assert(this.version >= 1 && this.version <= 2);
+    assert(isRecordType(this.version));
     assert(Object.keys(SLP_TYPES).includes(this.type));
 
     return this;
@@ -122,28 +163,34 @@ class SlpCoinRecord {
     bw.writeBytes(this.tokenIndex);
     bw.writeVarBytes(this.value);
     bw.writeU8(SLP_TYPES[this.type]);
-    bw.writeU8(this.version || 1);
+    bw.writeU8(this.version != null ? this.version : 1);
 
     return bw.render();
   }
 
   /**
    * Convert object to JSON.
+   * @param {TokenRecord?} token - Adds the amount
+   * formatted with the token's decimals.
    * @returns {Object}
    */
 
-  getJSON() {
+  getJSON(token) {
     assert(this.tokenId, 'tokenId must be defined');
 
     const json = {
       hash: this.hash ? Buffer.from(this.hash).reverse().toString('hex') : undefined,
       vout: this.vout,
       tokenId: this.tokenId.toString('hex'),
-      value: U64.fromBE(this.value).toString(10),
+      value: U64.fromBE(this.getValueUInt64BE()).toString(10),
       type: this.type,
-      version: this.version || 1
+      version: this.version != null ? this.version : 1
 
     }
+
+    if (token && this.type !== 'BATON' && this.tokenId.equals(token.tokenId))
+      json.amount = token.formatAmount(this.getValueUInt64BE());
+
     return json;
   }
 
@@ -160,7 +207,7 @@ class SlpCoinRecord {
     this.tokenId = Buffer.from(json.tokenId, 'hex');
     this.value = U64.fromString(json.value).toBE(Buffer);
     this.type = json.type;
-    this.version = json.version || 1
+    this.version = json.version != null ? json.version : 1
 
     return this
   }
@@ -193,6 +240,7 @@ class SlpCoinRecord {
    * @param {Number} decimals
    * @param {Number?} version
    * @param {Buffer?} vaultScriptHash
+   * @param {Buffer?} groupId NFT1 group tokenId (NFT1 children only)
    */
 
   constructor(options = {}) {
@@ -206,6 +254,8 @@ class SlpCoinRecord {
     this.version = options.version;
     if (this.version === 2 )
       this.vaultScriptHash = options.vaultScriptHash;
+    if (this.version === TOKEN_TYPES.NFT1_CHILD)
+      this.groupId = options.groupId;
 
   }
 
@@ -241,7 +291,11 @@ class SlpCoinRecord {
     if (this.version ===2)
       this.vaultScriptHash = br.readBytes(20);
 
-    assert(this.version >= 1 && this.version <= 2);
+    // Read NFT1 group tokenId (if known)
+    if (this.version === TOKEN_TYPES.NFT1_CHILD && br.left() >= 32)
+      this.groupId = br.readHash();
+
+    assert(isRecordType(this.version));
     // assert(this.decimals >= 0 && this.decimals < 9);
 
     return this;
@@ -280,14 +334,150 @@ class SlpCoinRecord {
     if (this.hash.length === 0)
       bw.offset += encoding.sizeVarint(0);
     bw.writeU8(this.decimals);
-    bw.writeU8(this.version || 1);
+    bw.writeU8(this.version != null ? this.version : 1);
 
     if (this.version === 2)
       bw.writeBytes(this.vaultScriptHash);
 
+    if (this.version === TOKEN_TYPES.NFT1_CHILD && this.groupId)
+      bw.writeHash(this.groupId);
+
     return bw.render();
   }
 
+  /**
+   * Convert base units to a display string using the
+   * token's decimals (uses no floating point arithmetic).
+   * @param {U64|BigInt|Buffer|Number|String} value - Base units
+   * (buffers are big endian, 8 bytes or less; strings are decimal).
+   * @returns {String} e.g. "12.345"
+   */
+
+  formatAmount(value) {
+    return fixed.encodeU64(toU64(value), this.getDecimals());
+  }
+
+  /**
+   * Parse a display string into base units using the
+   * token's decimals (uses no floating point arithmetic).
+   * @param {String} str - e.g. "12.345"
+   * @param {Boolean?} bigint - Return a BigInt.
+   * @returns {U64|BigInt}
+   * @throws on too many decimal places or values above 2^64-1.
+   */
+
+  parseAmount(str, bigint) {
+    assert(typeof str === 'string', 'Token amount must be a string.');
+
+    const value = fixed.decodeU64(str, this.getDecimals());
+
+    if (bigint)
+      return BigInt(value.toString(10));
+
+    return value;
+  }
+
+  /**
+   * Test whether document bytes match the
+   * SHA-256 document hash of the GENESIS.
+   * @param {Buffer} data - Document contents.
+   * @returns {Boolean} False if no hash was committed to.
+   */
+
+  verifyDocument(data) {
+    assert(Buffer.isBuffer(data), 'Document must be a buffer.');
+
+    if (!this.hash || this.hash.length !== 64)
+      return false;
+
+    return sha256.digest(data).equals(Buffer.from(this.hash, 'hex'));
+  }
+
+  /**
+   * Get the ticker for display: NFC normalized,
+   * without control or format characters,
+   * trimmed and limited in length.
+   * @returns {String}
+   */
+
+  getTicker() {
+    return normalizeText(this.ticker, MAX_TICKER_LENGTH);
+  }
+
+  /**
+   * Get the name for display: NFC normalized,
+   * without control or format characters,
+   * trimmed and limited in length.
+   * @returns {String}
+   */
+
+  getName() {
+    return normalizeText(this.name, MAX_NAME_LENGTH);
+  }
+
+  /**
+   * Find known tokens with a ticker which looks like
+   * this token's ticker (e.g. cyrillic letters, digit
+   * for letter swaps or combining marks).
+   * @param {Array} known - Token records or
+   * objects with `tokenId` and `ticker`.
+   * @returns {Array} The colliding entries of `known`.
+   */
+
+  getLookalikes(known) {
+    assert(Array.isArray(known), 'Known tokens must be an array.');
+
+    const skeleton = getSkeleton(this.getTicker());
+    const lookalikes = [];
+
+    if (skeleton.length === 0)
+      return lookalikes;
+
+    for (const token of known) {
+      if (this.tokenId && token.tokenId) {
+        const tokenId = typeof token.tokenId === 'string'
+          ? Buffer.from(token.tokenId, 'hex')
+          : token.tokenId;
+
+        if (tokenId.equals(this.tokenId))
+          continue;
+      }
+
+      const ticker = normalizeText(token.ticker, MAX_TICKER_LENGTH);
+
+      if (getSkeleton(ticker) === skeleton)
+        lookalikes.push(token);
+    }
+
+    return lookalikes;
+  }
+
+  /**
+   * Test whether the ticker looks like
+   * the ticker of another known token.
+   * @param {Array} known - See {@link TokenRecord#getLookalikes}.
+   * @returns {Boolean}
+   */
+
+  isLookalike(known) {
+    return this.getLookalikes(known).length > 0;
+  }
+
+  /**
+   * Get the number of decimal places.
+   * @private
+   * @returns {Number}
+   */
+
+  getDecimals() {
+    const decimals = this.decimals || 0;
+
+    assert((decimals >>> 0) === decimals && decimals <= 9,
+      'Token decimals must be between 0 and 9.');
+
+    return decimals;
+  }
+
   /**
    * Convert object to JSON.
    * @returns {Object}
@@ -303,12 +493,15 @@ class SlpCoinRecord {
       uri: this.uri,
       hash: this.hash,
       decimals: this.decimals,
-      version: this.version || 1
+      version: this.version != null ? this.version : 1
     }
 
     if (json.version === 2 && this.vaultScriptHash)
       json.vaultScriptHash = this.vaultScriptHash.toString('hex');
-    
+
+    if (json.version === TOKEN_TYPES.NFT1_CHILD && this.groupId)
+      json.groupId = this.groupId.toString('hex');
+
     return json;
   }
 
@@ -331,6 +524,9 @@ class SlpCoinRecord {
     if (json.version === 2 && json.vaultScriptHash)
       this.vaultScriptHash = Buffer.from(json.vaultScriptHash, 'hex');
 
+    if (json.version === TOKEN_TYPES.NFT1_CHILD && json.groupId)
+      this.groupId = Buffer.from(json.groupId, 'hex');
+
     return this
   }
 
@@ -388,135 +584,147 @@ class SLP extends Script {
    */
 
   verifySlp(script) {
-    if (script == undefined)
+    return this.getParseError(script) === null;
+  }
+
+  /**
+   * Test whether script is of valid construction
+   * (Does not test if transaction is valid SLP transaction)
+   * @param {Script?} script
+   * @returns {Boolean}
+   */
+
+  static verifySlp(script) {
+    return new this().verifySlp(script);
+  }
+
+  /**
+   * Get the reason an SLP script is not of valid construction.
+   * @param {Script?} script
+   * @returns {SlpParseError|null}
+   */
+
+  getParseError(script) {
+    try {
+      this.parseSlp(script);
+    } catch (e) {
+      if (e.type !== 'SlpParseError')
+        throw e;
+      return e;
+    }
+    return null;
+  }
+
+  /**
+   * Check that an SLP script is of valid construction
+   * (Does not test if transaction is valid SLP transaction)
+   * @param {Script?} script
+   * @returns {SLP}
+   * @throws {SlpParseError}
+   */
+
+  parseSlp(script) {
+    if (script == null)
       script = this;
 
-    if (script.getSym(0) != 'OP_RETURN')
-      return false;
+    if (script.getOp(0) !== opcodes.OP_RETURN)
+      throw new SlpParseError('NOT_OP_RETURN', 0);
 
     // LOKAD_ID
-    if (script.getString(1, 'hex') != '534c5000')
-      return false;
+    const lokad = script.getData(1);
+    if (!lokad || !lokad.equals(LOKAD_ID))
+      throw new SlpParseError('BAD_LOKAD', 1);
 
     // Check version
-    const versionHex = script.getString(2, 'hex');
-    if (versionHex != '01' && versionHex != '02') 
-      return false;
+    const versionData = script.getPush(2);
+    if (!versionData || versionData.length !== 1)
+      throw new SlpParseError('BAD_TOKEN_TYPE', 2);
+    const version = versionData[0];
+    if (!isTokenType(version))
+      throw new SlpParseError('BAD_TOKEN_TYPE', 2, version);
 
     // Type
     const type = script.getType();
 
     switch (type) {
       case 'GENESIS': {
-        if (script.code.length != 11)
-          return false;
+        if (script.code.length !== 11)
+          throw new SlpParseError('BAD_OP_COUNT', -1, version);
         // Hash
-        if (!script.getData(7))
-          return false;
-        if (script.getData(7).length != 0 && script.getData(7).length != 32)
-          return false;
+        const hash = script.getData(7);
+        if (!hash || (hash.length !== 0 && hash.length !== 32))
+          throw new SlpParseError('BAD_DOCUMENT_HASH', 7, version);
         // Decimals
-        if (!script.getData(8))
-          return false;
-        if (script.getData(8).length != 1 || script.getInt(8) > 9)
-          return false;
-        if (versionHex == '01') {
-          // Mint Baton
-          if (!script.getData(9))
-            return false;
-          if (script.getData(9).length > 1)
-            return false;
-          if (script.getData(9).length == 1 && script.getInt(9) < 2)
-            return false;
-        } else if (versionHex == '02') {
+        const decimals = script.getData(8);
+        if (!decimals || decimals.length !== 1 || decimals[0] > 9)
+          throw new SlpParseError('BAD_DECIMALS', 8, version);
+        if (version === TOKEN_TYPES.MINT_VAULT) {
           // Mint Vault ScriptHash
-          if (!script.getData(9))
-            return false;
-          if (script.getData(9).length != 20)
-            return false;
+          const vault = script.getData(9);
+          if (!vault || vault.length !== 20)
+            throw new SlpParseError('BAD_VAULT_HASH', 9, version);
+        } else {
+          checkBaton(script, 9, version);
         }
         // Minted Tokens
-        if (script.getData(10).length != 8)
-          return false
+        checkAmount(script, 10, version);
+        if (version === TOKEN_TYPES.NFT1_CHILD) {
+          // NFT1 children are indivisible, unique and not mintable
+          if (decimals[0] !== 0)
+            throw new SlpParseError('BAD_NFT1_CHILD_DECIMALS', 8, version);
+          if (script.getData(9).length !== 0)
+            throw new SlpParseError('BAD_NFT1_CHILD_BATON', 9, version);
+          if (!U64.fromBE(script.getData(10)).eqn(1))
+            throw new SlpParseError('BAD_NFT1_CHILD_AMOUNT', 10, version);
+        }
         break;
       }
       case 'MINT': {
-        if (versionHex == '01') {
-          if (script.code.length != 7)
-            return false;
-        }
-        if (versionHex == '02') {
+        // NFT1 children cannot be minted
+        if (version === TOKEN_TYPES.NFT1_CHILD)
+          throw new SlpParseError('BAD_NFT1_CHILD_MINT', 3, version);
+        if (version !== TOKEN_TYPES.MINT_VAULT) {
+          if (script.code.length !== 7)
+            throw new SlpParseError('BAD_OP_COUNT', -1, version);
+        } else {
           if (script.code.length < 6)
-            return false;
+            throw new SlpParseError('BAD_OP_COUNT', -1, version);
         }
-        // Token ID
-        if (script.getData(4).length != 32)
-          return false;
-        if (versionHex == '01') {
-          // Mint Baton
-          if (!script.getData(5))
-            return false;
-          if (script.getData(5).length > 1)
-            return false;
-          if (script.getData(5).length == 1 && script.getInt(5) < 2)
-            return false;
+        checkTokenId(script, 4, version);
+        if (version !== TOKEN_TYPES.MINT_VAULT) {
+          checkBaton(script, 5, version);
+          // Minted Tokens
+          checkAmount(script, 6, version);
+        } else {
           // Minted Tokens
-          if (script.getData(6).length != 8)
-            return false
-        } else if (versionHex == '02') {
-          const outputs = script.code.slice(5);
-          for (let i = 0; i < outputs.length; i++) {
-            const op = outputs[i];
-            // Sent Tokens
-            if (op.data.length != 8)
-              return false
-          }
+          for (let i = 5; i < script.code.length; i++)
+            checkAmount(script, i, version);
         }
         break;
       }
       case 'SEND': {
         if (script.code.length < 6)
-          return false;
-        // Token ID
-        if (script.getData(4).length != 32)
-          return false;
-        const outputs = script.code.slice(5);
-        for (let i = 0; i < outputs.length; i++) {
-          const op = outputs[i];
-          // Sent Tokens
-          if (op.data.length != 8)
-            return false
-        }
+          throw new SlpParseError('BAD_OP_COUNT', -1, version);
+        checkTokenId(script, 4, version);
+        // Sent Tokens
+        for (let i = 5; i < script.code.length; i++)
+          checkAmount(script, i, version);
         break;
       }
       case 'BURN': {
-        if (script.code.length != 6)
-          return false;
-        // Token ID
-        if (script.getData(4).length != 32)
-          return false;
-        // Sent Tokens
-        if (script.getData(5).length != 8)
-          return false
+        if (script.code.length !== 6)
+          throw new SlpParseError('BAD_OP_COUNT', -1, version);
+        checkTokenId(script, 4, version);
+        // Burned Tokens
+        checkAmount(script, 5, version);
         break;
       }
       default: {
-        return false;
+        throw new SlpParseError('BAD_TX_TYPE', 3, version);
       }
     }
 
-    return true;
-  }
-
-  /**
-   * Test whether script is of valid construction
-   * (Does not test if transaction is valid SLP transaction)
-   * @param {Script?} script
-   * @returns {Boolean}
-   */
-
-  static verifySlp(script) {
-    return new this().verifySlp(script);
+    return this;
   }
 
   /**
@@ -541,6 +749,195 @@ class SLP extends Script {
     return new this().fromScript(script);
   }
 
+  /**
+   * Inject properties from GENESIS options.
+   * @private
+   * @param {Object} options
+   * @param {Number?} options.version - Token type.
+   * @param {String?} options.ticker
+   * @param {String?} options.name
+   * @param {String?} options.uri - Document URI.
+   * @param {Buffer|String?} options.hash - 32 byte document hash.
+   * @param {Number?} options.decimals
+   * @param {Number?} options.batonVout - Mint baton output (type 1).
+   * @param {Buffer?} options.vaultScriptHash - Mint vault hash (type 2).
+   * @param {U64|Number|Buffer} options.amount - Initial token quantity.
+   * @returns {SLP}
+   */
+
+  fromGenesis(options) {
+    assert(options, 'GENESIS options are required.');
+
+    const version = getTokenType(options.version);
+    const decimals = options.decimals != null ? options.decimals : 0;
+
+    assert((decimals >>> 0) === decimals && decimals <= 9,
+      'Decimals must be between 0 and 9.');
+
+    if (version === TOKEN_TYPES.NFT1_CHILD) {
+      assert(decimals === 0, 'NFT1 children must have 0 decimals.');
+      assert(options.batonVout == null || options.batonVout === -1,
+        'NFT1 children cannot have a mint baton.');
+      assert(U64.fromBE(encodeAmount(options.amount)).eqn(1),
+        'NFT1 children must have a quantity of 1.');
+    }
+
+    this.clear();
+    this.pushOp(opcodes.OP_RETURN);
+    this.push(toPush(LOKAD_ID));
+    this.push(toPush(Buffer.from([version])));
+    this.push(toPush(Buffer.from('GENESIS', 'ascii')));
+    this.push(toPush(getString(options.ticker)));
+    this.push(toPush(getString(options.name)));
+    this.push(toPush(getString(options.uri)));
+    this.push(toPush(getDocumentHash(options.hash)));
+    this.push(toPush(Buffer.from([decimals])));
+
+    if (version === TOKEN_TYPES.MINT_VAULT)
+      this.push(toPush(getVaultScriptHash(options.vaultScriptHash)));
+    else
+      this.push(toPush(getBaton(options.batonVout)));
+
+    this.push(toPush(encodeAmount(options.amount)));
+
+    return this.compile();
+  }
+
+  /**
+   * Create a GENESIS script.
+   * @param {Object} options - See {@link SLP#fromGenesis}.
+   * @returns {SLP}
+   */
+
+  static fromGenesis(options) {
+    return new this().fromGenesis(options);
+  }
+
+  /**
+   * Inject properties from MINT options. Token type 1
+   * and NFT1 groups mint a single `amount` to output 1 and
+   * may pass the baton on. Token type 2 mints `amounts` to
+   * outputs 1..n.
+   * @private
+   * @param {Object} options
+   * @param {Number?} options.version - Token type.
+   * @param {Buffer|String} options.tokenId
+   * @param {Number?} options.batonVout - Mint baton output (type 1).
+   * @param {U64|Number|Buffer?} options.amount - Minted quantity (type 1).
+   * @param {Array?} options.amounts - Minted quantities (type 2).
+   * @returns {SLP}
+   */
+
+  fromMint(options) {
+    assert(options, 'MINT options are required.');
+
+    const version = getTokenType(options.version);
+
+    assert(version !== TOKEN_TYPES.NFT1_CHILD,
+      'NFT1 children cannot be minted.');
+
+    this.clear();
+    this.pushOp(opcodes.OP_RETURN);
+    this.push(toPush(LOKAD_ID));
+    this.push(toPush(Buffer.from([version])));
+    this.push(toPush(Buffer.from('MINT', 'ascii')));
+    this.push(toPush(getTokenId(options.tokenId)));
+
+    if (version === TOKEN_TYPES.MINT_VAULT) {
+      for (const amount of getAmounts(options.amounts))
+        this.push(toPush(encodeAmount(amount)));
+    } else {
+      this.push(toPush(getBaton(options.batonVout)));
+      this.push(toPush(encodeAmount(options.amount)));
+    }
+
+    return this.compile();
+  }
+
+  /**
+   * Create a MINT script.
+   * @param {Object} options - See {@link SLP#fromMint}.
+   * @returns {SLP}
+   */
+
+  static fromMint(options) {
+    return new this().fromMint(options);
+  }
+
+  /**
+   * Inject properties from SEND options.
+   * @private
+   * @param {Object} options
+   * @param {Number?} options.version - Token type.
+   * @param {Buffer|String} options.tokenId
+   * @param {Array} options.amounts - Token quantities for outputs 1..n.
+   * @returns {SLP}
+   */
+
+  fromSend(options) {
+    assert(options, 'SEND options are required.');
+
+    const version = getTokenType(options.version);
+
+    this.clear();
+    this.pushOp(opcodes.OP_RETURN);
+    this.push(toPush(LOKAD_ID));
+    this.push(toPush(Buffer.from([version])));
+    this.push(toPush(Buffer.from('SEND', 'ascii')));
+    this.push(toPush(getTokenId(options.tokenId)));
+
+    for (const amount of getAmounts(options.amounts))
+      this.push(toPush(encodeAmount(amount)));
+
+    return this.compile();
+  }
+
+  /**
+   * Create a SEND script.
+   * @param {Object} options - See {@link SLP#fromSend}.
+   * @returns {SLP}
+   */
+
+  static fromSend(options) {
+    return new this().fromSend(options);
+  }
+
+  /**
+   * Inject properties from BURN options.
+   * @private
+   * @param {Object} options
+   * @param {Number?} options.version - Token type.
+   * @param {Buffer|String} options.tokenId
+   * @param {U64|Number|Buffer} options.amount - Burned quantity.
+   * @returns {SLP}
+   */
+
+  fromBurn(options) {
+    assert(options, 'BURN options are required.');
+
+    const version = getTokenType(options.version);
+
+    this.clear();
+    this.pushOp(opcodes.OP_RETURN);
+    this.push(toPush(LOKAD_ID));
+    this.push(toPush(Buffer.from([version])));
+    this.push(toPush(Buffer.from('BURN', 'ascii')));
+    this.push(toPush(getTokenId(options.tokenId)));
+    this.push(toPush(encodeAmount(options.amount)));
+
+    return this.compile();
+  }
+
+  /**
+   * Create a BURN script.
+   * @param {Object} options - See {@link SLP#fromBurn}.
+   * @returns {SLP}
+   */
+
+  static fromBurn(options) {
+    return new this().fromBurn(options);
+  }
+
   /**
    * Get token ID for this script
    * @private
@@ -562,10 +959,11 @@ class SLP extends Script {
    * Get records for a this script
    * @private
    * @param {Buffer?} txId The txid of the transaction containing this script
+   * @param {Buffer?} groupId NFT1 group tokenId spent by a child GENESIS
    * @returns {(SlpCoinRecord | TokenRecord)[]}
    */
 
-  getRecords(txId) {
+  getRecords(txId, groupId) {
     assert(this.isValidSlp(), 'Must be a valid SLP Script' )
 
     const type = this.getType();
@@ -575,7 +973,7 @@ class SLP extends Script {
 
     switch (type) {
       case 'GENESIS': {
-        return this.getGenesisRecords(txId);
+        return this.getGenesisRecords(txId, groupId);
         break;
       }
       case 'MINT': {
@@ -600,16 +998,17 @@ class SLP extends Script {
    * Get records for a GENESIS script
    * @private
    * @param {Buffer} tokenId The tokenId of the transaction containing this script
+   * @param {Buffer?} groupId NFT1 group tokenId (NFT1 children only)
    * @returns {(SlpCoinRecord | TokenRecord)[]}
    */
 
-  getGenesisRecords(tokenId) {
+  getGenesisRecords(tokenId, groupId) {
     assert(tokenId.byteLength, 'tokenId must be a buffer');
     assert(tokenId.byteLength == 32, 'tokenId must be a sha256 hash');
     const type = this.getType();
     assert(type == 'GENESIS', 'This is not a GENESIS transaction')
 
-    const versionInt = this.getInt(2);
+    const versionInt = this.getVersion();
     const records = [];
     // Create TokenRecord
     records.push(this.constructor.TokenRecord({      
@@ -620,7 +1019,8 @@ class SLP extends Script {
       uri: this.getString(6, 'utf-8'),
       hash: this.getString(7, 'hex'),
       decimals: this.getInt(8),
-      vaultScriptHash: versionInt === 2 ? this.getData(9) : undefined
+      vaultScriptHash: versionInt === 2 ? this.getData(9) : undefined,
+      groupId: versionInt === TOKEN_TYPES.NFT1_CHILD ? groupId : undefined
     }));
     // Create Minted Tokens SLPCoinRecord
     records.push(this.constructor.SlpCoinRecord({
@@ -629,19 +1029,19 @@ class SLP extends Script {
       tokenId,
       value: this.getData(10),
       type,
-      version: this.getInt(2)
+      version: versionInt
     }));
     // Create Mint Baton SLPCoinRecord
-    if (versionInt === 1 && this.getInt(9) >= 2) {
+    if (versionInt !== 2 && this.getData(9).length === 1) {
       const valBuf = Buffer.alloc(1);
       valBuf.writeInt8(1);
       records.push(this.constructor.SlpCoinRecord({
         hash: Buffer.from(tokenId).reverse(),
-        vout: this.getInt(9),
+        vout: this.getData(9)[0],
         tokenId,
         value: valBuf,
         type: 'BATON',
-        version: this.getInt(2)
+        version: versionInt
       }));
     }
     return records;
@@ -660,10 +1060,10 @@ class SLP extends Script {
     const type = this.getType();
     assert(type == 'MINT', 'This is not a MINT transaction');
 
-    const versionInt = this.getInt(2);
+    const versionInt = this.getVersion();
     const records = [];
     // Create Minted Tokens SLPCoinRecord
-    if (versionInt === 1) {
+    if (versionInt !== 2) {
       records.push(this.constructor.SlpCoinRecord({
         hash: Buffer.from(txId).reverse(),
         vout: 1,
@@ -673,18 +1073,18 @@ class SLP extends Script {
         version: versionInt
       }));
       // Create Mint Baton SLPCoinRecord
-      if (this.getInt(5) >= 2) {
+      if (this.getData(5).length === 1) {
         const valBuf = U64.fromInt(1).toBE(Buffer);
         records.push(this.constructor.SlpCoinRecord({
           hash: Buffer.from(txId).reverse(),
-          vout: this.getInt(5),
+          vout: this.getData(5)[0],
           tokenId: this.getData(4),
           value: valBuf,
           type: 'BATON',
           version: versionInt
         }));
       }
-    } else if (versionInt === 2) {
+    } else {
       // Mimic Token Type 1 SEND
       const outputs = this.code.slice(5);
       for (let i = 0; i < outputs.length; i++) {
@@ -698,7 +1098,7 @@ class SLP extends Script {
           tokenId: this.getData(4),
           value: valueBuf,
           type,
-          version: this.getInt(2)
+          version: versionInt
         }));
       }
     }
@@ -732,7 +1132,7 @@ class SLP extends Script {
         tokenId: this.getData(4),
         value: valueBuf,
         type,
-        version: this.getInt(2)
+        version: this.getVersion()
       }));
     }
     return records;
@@ -754,7 +1154,7 @@ class SLP extends Script {
       tokenId: this.getData(4),
       value: valueBuf,
       type,
-      version: this.getInt(2)
+      version: this.getVersion()
     }));
 
     return records;
@@ -771,6 +1171,8 @@ class SLP extends Script {
 
     this.valid = null;
     this.isValidSlp();
+
+    return this;
   }
 
   /**
@@ -786,6 +1188,17 @@ class SLP extends Script {
     return this.getString(3);
   }
 
+  /**
+   * Get the token type (version byte) of this script.
+   * @returns {Number}
+   */
+
+  getVersion() {
+    const data = this.getPush(2);
+    assert(data && data.length === 1, 'Invalid SLP version.');
+    return data[0];
+  }
+
   /**
    * Create a new TokenRecord
    * @param {Buffer?} tokenId
@@ -821,4 +1234,202 @@ class SLP extends Script {
 
 }
 
+/*
+ * Helpers
+ */
+
+function toPush(data) {
+  // SLP forbids OP_0 and OP_N for
+  // pushes, empty data included.
+  if (data.length === 0)
+    return EMPTY_PUSH;
+  return Opcode.fromPush(data);
+}
+
+function isTokenType(version) {
+  switch (version) {
+    case TOKEN_TYPES.TYPE_1:
+    case TOKEN_TYPES.MINT_VAULT:
+    case TOKEN_TYPES.NFT1_CHILD:
+    case TOKEN_TYPES.NFT1_GROUP:
+      return true;
+  }
+  return false;
+}
+
+function checkTokenId(script, index, version) {
+  const tokenId = script.getData(index);
+  if (!tokenId || tokenId.length !== 32)
+    throw new SlpParseError('BAD_TOKEN_ID', index, version);
+}
+
+function checkBaton(script, index, version) {
+  const baton = script.getData(index);
+  if (!baton || baton.length > 1 || (baton.length === 1 && baton[0] < 2))
+    throw new SlpParseError('BAD_BATON', index, version);
+}
+
+function checkAmount(script, index, version) {
+  const amount = script.getData(index);
+  if (!amount || amount.length !== 8)
+    throw new SlpParseError('BAD_AMOUNT', index, version);
+}
+
+function normalizeText(str, limit) {
+  if (typeof str !== 'string')
+    return '';
+
+  str = str.normalize('NFC');
+  str = str.replace(/[\p{Cc}\p{Cf}]/gu, '');
+  str = str.replace(/\s+/gu, ' ').trim();
+
+  // Limit by code point, not by UTF-16 unit.
+  const chars = Array.from(str);
+
+  if (chars.length > limit)
+    str = chars.slice(0, limit).join('').trim();
+
+  return str;
+}
+
+function getSkeleton(str) {
+  let out = '';
+
+  // Decompose and drop combining marks first.
+  str = str.normalize('NFKD').replace(/\p{M}/gu, '');
+
+  for (const ch of str) {
+    const mapped = CONFUSABLES[ch] || ch.toLowerCase();
+
+    if (/^[\p{L}\p{N}]$/u.test(mapped))
+      out += mapped;
+  }
+
+  return out
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w')
+    .replace(/i/g, 'l');
+}
+
+function isRecordType(version) {
+  // ALP tokens share the record
+  // formats under token type 0x00.
+  return version === 0x00 || isTokenType(version);
+}
+
+function getTokenType(version) {
+  if (version == null)
+    return TOKEN_TYPES.TYPE_1;
+
+  assert(isTokenType(version), 'Unknown token type.');
+
+  return version;
+}
+
+function getString(str) {
+  if (str == null)
+    return Buffer.alloc(0);
+
+  assert(typeof str === 'string', 'Token metadata must be a string.');
+
+  return Buffer.from(str, 'utf8');
+}
+
+function getDocumentHash(hash) {
+  if (hash == null)
+    return Buffer.alloc(0);
+
+  if (typeof hash === 'string')
+    hash = Buffer.from(hash, 'hex');
+
+  assert(Buffer.isBuffer(hash), 'Document hash must be a buffer.');
+  assert(hash.length === 0 || hash.length === 32,
+    'Document hash must be a sha256 hash.');
+
+  return hash;
+}
+
+function getTokenId(tokenId) {
+  if (typeof tokenId === 'string')
+    tokenId = Buffer.from(tokenId, 'hex');
+
+  assert(Buffer.isBuffer(tokenId), 'tokenId must be a buffer.');
+  assert(tokenId.length === 32, 'tokenId must be a sha256 hash.');
+
+  return tokenId;
+}
+
+function getBaton(vout) {
+  if (vout == null || vout === -1)
+    return Buffer.alloc(0);
+
+  assert((vout & 0xff) === vout && vout >= 2,
+    'Baton output must be between 2 and 255.');
+
+  return Buffer.from([vout]);
+}
+
+function getVaultScriptHash(hash) {
+  assert(Buffer.isBuffer(hash) && hash.length === 20,
+    'Vault script hash must be a hash160.');
+  return hash;
+}
+
+function getAmounts(amounts) {
+  assert(Array.isArray(amounts), 'Amounts must be an array.');
+  assert(amounts.length >= 1 && amounts.length <= MAX_SEND_OUTPUTS,
+    `Amounts must have between 1 and ${MAX_SEND_OUTPUTS} entries.`);
+  return amounts;
+}
+
+function encodeAmount(value) {
+  return toU64(value).toBE(Buffer);
+}
+
+/**
+ * Convert a token amount to a U64. Shared by
+ * everything which accepts token amounts.
+ * @ignore
+ * @param {U64|BigInt|Buffer|Number|String} value
+ * @returns {U64}
+ * @throws on negative, fractional or out of range amounts.
+ */
+
+function toU64(value) {
+  if (U64.isU64(value))
+    return value;
+
+  if (Buffer.isBuffer(value)) {
+    assert(value.length <= 8, 'Token amount must be 8 bytes or less.');
+    const padding = Buffer.alloc(8 - value.length);
+    return U64.fromBE(Buffer.concat([padding, value]));
+  }
+
+  if (typeof value === 'bigint') {
+    assert(value >= 0 && value.toString(10).length <= 20,
+      'Token amount must be a uint64.');
+    value = value.toString(10);
+  }
+
+  if (typeof value === 'string') {
+    // n64 wraps negative strings around 2^64
+    // and throws on values above it.
+    assert(/^\d+$/.test(value), 'Token amount must be a uint64.');
+    return U64.fromString(value, 10);
+  }
+
+  assert(Number.isSafeInteger(value) && value >= 0,
+    'Token amount must be a uint64.');
+
+  return U64.fromNumber(value);
+}
+
+/*
+ * Expose
+ */
+
+SLP.TOKEN_TYPES = TOKEN_TYPES;
+SLP.MAX_SEND_OUTPUTS = MAX_SEND_OUTPUTS;
+SLP.toU64 = toU64;
+
 module.exports = SLP;
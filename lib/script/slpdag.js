@@ -0,0 +1,295 @@
+/*!
+ * slpdag.js - slp dag validation for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const LRU = require('blru');
+const {BufferMap} = require('buffer-map');
+const Coin = require('../primitives/coin');
+const CoinView = require('../coins/coinview');
+const SLP = require('./slp');
+const validator = require('./slpvalidator');
+const {SlpVerdict} = validator;
+const {TOKEN_TYPES} = SLP;
+
+/*
+ * Constants
+ */
+
+// Verdicts which depend on what the transaction
+// source could deliver. These are never memoised.
+const TRANSIENT = new Set([
+  'missing-inputs',
+  'slp-dag-depth'
+]);
+
+/**
+ * SLP DAG
+ * Validates a token transaction together with its ancestry
+ * back to GENESIS. Parents are fetched through a pluggable
+ * transaction source and verdicts are memoised per hash.
+ * @alias module:script.SlpDAG
+ * @property {Function} getTransaction - async hash -> TX|null.
+ * @property {Number} maxDepth
+ * @property {LRU} cache - Verdicts by tx hash.
+ * @property {LRU} tokens - Genesis records by token id.
+ */
+
+class SlpDAG {
+  /**
+   * Create a DAG validator.
+   * @constructor
+   * @param {Object} options
+   * @param {Function} options.getTransaction - Receives the
+   * internal-order tx hash, resolves to a TX or null.
+   * @param {Number?} options.maxDepth
+   * @param {Number?} options.cacheSize
+   */
+
+  constructor(options) {
+    this.getTransaction = null;
+    this.maxDepth = SlpDAG.MAX_DEPTH;
+    this.cache = new LRU(SlpDAG.CACHE_SIZE, null, BufferMap);
+    this.tokens = new LRU(SlpDAG.CACHE_SIZE, null, BufferMap);
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @private
+   * @param {Object} options
+   * @returns {SlpDAG}
+   */
+
+  fromOptions(options) {
+    assert(options, 'DAG options are required.');
+    assert(typeof options.getTransaction === 'function',
+      'Transaction source is required.');
+
+    this.getTransaction = options.getTransaction;
+
+    if (options.maxDepth != null) {
+      assert((options.maxDepth >>> 0) === options.maxDepth,
+        'Max depth must be a uint32.');
+      this.maxDepth = options.maxDepth;
+    }
+
+    if (options.cacheSize != null) {
+      assert((options.cacheSize >>> 0) === options.cacheSize,
+        'Cache size must be a uint32.');
+      this.cache = new LRU(options.cacheSize, null, BufferMap);
+      this.tokens = new LRU(options.cacheSize, null, BufferMap);
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate a DAG validator from options.
+   * @param {Object} options
+   * @returns {SlpDAG}
+   */
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Validate a transaction and its token ancestry.
+   * @param {TX} tx
+   * @returns {Promise<SlpVerdict>}
+   */
+
+  async verify(tx) {
+    return this._verify(tx, 0);
+  }
+
+  /**
+   * Fetch and validate a transaction by hash.
+   * @param {Buffer} hash - Internal-order tx hash.
+   * @returns {Promise<SlpVerdict>}
+   */
+
+  async verifyHash(hash) {
+    const cached = this.cache.get(hash);
+
+    if (cached)
+      return cached;
+
+    const tx = await this.getTransaction(hash);
+
+    if (!tx)
+      return new SlpVerdict().reject('missing-inputs');
+
+    return this._verify(tx, 0);
+  }
+
+  /**
+   * Test whether a transaction has a valid token ancestry.
+   * @param {Buffer} hash - Internal-order tx hash.
+   * @returns {Promise<Boolean>}
+   */
+
+  async isValid(hash) {
+    const verdict = await this.verifyHash(hash);
+    return verdict.valid;
+  }
+
+  /**
+   * Get the GENESIS record of a token.
+   * @param {Buffer} tokenId
+   * @returns {Promise<TokenRecord|null>}
+   */
+
+  async getToken(tokenId) {
+    const cached = this.tokens.get(tokenId);
+
+    if (cached)
+      return cached;
+
+    const hash = Buffer.from(tokenId).reverse();
+    const tx = await this.getTransaction(hash);
+
+    if (!tx)
+      return null;
+
+    const slp = validator.getTokenScript(tx);
+
+    if (!slp || slp.getType() !== 'GENESIS')
+      return null;
+
+    const [token] = slp.getRecords(tokenId);
+
+    this.tokens.set(tokenId, token);
+
+    return token;
+  }
+
+  /**
+   * Forget all memoised verdicts and tokens.
+   */
+
+  reset() {
+    this.cache.reset();
+    this.tokens.reset();
+  }
+
+  /**
+   * Validate a transaction, descending into
+   * the parents of its token inputs.
+   * @private
+   * @param {TX} tx
+   * @param {Number} depth
+   * @returns {Promise<SlpVerdict>}
+   */
+
+  async _verify(tx, depth) {
+    const hash = tx.hash();
+    const cached = this.cache.get(hash);
+
+    if (cached)
+      return cached;
+
+    if (depth > this.maxDepth)
+      return new SlpVerdict().reject('slp-dag-depth');
+
+    const view = new CoinView();
+
+    for (const {prevout} of tx.inputs) {
+      if (prevout.isNull()) {
+        view.addCoin(Coin.fromOptions(prevout));
+        continue;
+      }
+
+      const parent = await this.getTransaction(prevout.hash);
+
+      // Left out of the view, verifyTX
+      // will reject for missing inputs.
+      if (!parent || prevout.index >= parent.outputs.length)
+        continue;
+
+      const coin = Coin.fromTX(parent, prevout.index, -1);
+      const record = getRecord(parent, prevout.index);
+
+      // Tokens are only carried by a valid parent.
+      if (record) {
+        const verdict = await this._verify(parent, depth + 1);
+
+        if (!verdict.valid && TRANSIENT.has(verdict.reason))
+          return new SlpVerdict().reject(verdict.reason);
+
+        if (verdict.valid)
+          coin.slp = record;
+      }
+
+      view.addCoin(coin);
+    }
+
+    const slp = validator.getTokenScript(tx);
+
+    let token = null;
+
+    if (slp
+        && slp.getType() === 'MINT'
+        && slp.getVersion() === TOKEN_TYPES.MINT_VAULT) {
+      token = await this.getToken(slp.getTokenId());
+    }
+
+    const verdict = validator.verifyTX(tx, view, {
+      getToken: () => token
+    });
+
+    if (verdict.valid || !TRANSIENT.has(verdict.reason))
+      this.cache.set(hash, verdict);
+
+    return verdict;
+  }
+}
+
+/**
+ * Default ancestry depth limit.
+ * @const {Number}
+ * @default
+ */
+
+SlpDAG.MAX_DEPTH = 1000;
+
+/**
+ * Default number of memoised verdicts.
+ * @const {Number}
+ * @default
+ */
+
+SlpDAG.CACHE_SIZE = 10000;
+
+/*
+ * Helpers
+ */
+
+function getRecord(tx, index) {
+  const slp = validator.getTokenScript(tx);
+
+  if (!slp)
+    return null;
+
+  const txid = Buffer.from(tx.hash()).reverse();
+
+  for (const record of slp.getRecords(txid)) {
+    if (record.vout === index && record.type !== 'BURN')
+      return record;
+  }
+
+  return null;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = SlpDAG;
@@ -0,0 +1,51 @@
+/*!
+ * slpparseerror.js - slp parse error for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+/**
+ * SLP Parse Error
+ * An error thrown when an SLP script is
+ * not of valid construction.
+ * @alias module:script.SlpParseError
+ * @extends Error
+ * @property {String} message - Error message.
+ * @property {String} code - Stable reason code.
+ * @property {Number} index - Offending op index (-1 if none).
+ * @property {Number} version - Token type (-1 if unknown).
+ */
+
+class SlpParseError extends Error {
+  /**
+   * Create an error.
+   * @constructor
+   * @param {String} code - Reason code.
+   * @param {Number?} index - Op index.
+   * @param {Number?} version - Token type.
+   */
+
+  constructor(code, index, version) {
+    super();
+
+    this.type = 'SlpParseError';
+    this.code = code;
+    this.message = code;
+    this.index = index != null ? index : -1;
+    this.version = version != null ? version : -1;
+
+    if (this.index !== -1 || this.version !== -1)
+      this.message = `${code} (index=${this.index}, version=${this.version})`;
+
+    if (Error.captureStackTrace)
+      Error.captureStackTrace(this, SlpParseError);
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = SlpParseError;
@@ -0,0 +1,654 @@
+/*!
+ * slpvalidator.js - slp transaction validation for bcash
+ * Copyright (c) 2026, Olav (MIT License).
+ * https://github.com/hansekontor/checkout-components
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const SLP = require('./slp');
+const ALP = require('./alp');
+const common = require('./common');
+const opcodes = common.opcodes;
+
+/**
+ * @exports script/slpvalidator
+ */
+
+const validator = exports;
+
+/*
+ * Constants
+ */
+
+const LOKAD_ID = Buffer.from('534c5000', 'hex');
+const {TOKEN_TYPES} = SLP;
+
+/**
+ * SLP Burn
+ * Tokens destroyed by a transaction.
+ * @alias module:script.SlpBurn
+ * @property {Buffer} tokenId
+ * @property {Number} version - Token type.
+ * @property {U64} value - Base units destroyed.
+ * @property {Number} batons - Mint batons destroyed.
+ */
+
+class SlpBurn {
+  /**
+   * Create a burn.
+   * @constructor
+   * @param {Buffer} tokenId
+   * @param {Number} version
+   */
+
+  constructor(tokenId, version) {
+    this.tokenId = tokenId;
+    this.version = version;
+    this.value = new U64(0);
+    this.batons = 0;
+  }
+
+  /**
+   * Test whether anything was destroyed.
+   * @returns {Boolean}
+   */
+
+  isNull() {
+    return this.value.isZero() && this.batons === 0;
+  }
+
+  /**
+   * Convert the burn to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      tokenId: this.tokenId.toString('hex'),
+      version: this.version,
+      value: this.value.toString(10),
+      batons: this.batons
+    };
+  }
+
+  /**
+   * Convert the burn to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+}
+
+/**
+ * SLP Verdict
+ * Result of checking the token flows of a transaction.
+ * An invalid transaction destroys every token input,
+ * a valid one may still destroy some implicitly.
+ * @alias module:script.SlpVerdict
+ * @property {Boolean} valid
+ * @property {String|null} reason - Rejection reason.
+ * @property {String|null} type - GENESIS | MINT | SEND | BURN
+ * @property {Number} version - Token type (-1 if not SLP).
+ * @property {Buffer|null} tokenId
+ * @property {Buffer|null} groupId - NFT1 group of a child GENESIS.
+ * @property {SlpBurn[]} burns
+ */
+
+class SlpVerdict {
+  /**
+   * Create a verdict.
+   * @constructor
+   */
+
+  constructor() {
+    this.valid = true;
+    this.reason = null;
+    this.type = null;
+    this.version = -1;
+    this.tokenId = null;
+    this.groupId = null;
+    this.burns = [];
+  }
+
+  /**
+   * Mark the transaction as invalid.
+   * @private
+   * @param {String} reason
+   * @returns {SlpVerdict}
+   */
+
+  reject(reason) {
+    assert(typeof reason === 'string');
+    this.valid = false;
+    this.reason = reason;
+    return this;
+  }
+
+  /**
+   * Test whether a valid transaction
+   * implicitly destroys tokens.
+   * @returns {Boolean}
+   */
+
+  isBurn() {
+    return this.valid && this.burns.length > 0;
+  }
+
+  /**
+   * Get the burn for a token.
+   * @param {Buffer} tokenId
+   * @returns {SlpBurn|null}
+   */
+
+  getBurn(tokenId) {
+    for (const burn of this.burns) {
+      if (burn.tokenId.equals(tokenId))
+        return burn;
+    }
+    return null;
+  }
+
+  /**
+   * Convert the verdict to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      valid: this.valid,
+      reason: this.reason,
+      type: this.type,
+      version: this.version,
+      tokenId: this.tokenId ? this.tokenId.toString('hex') : null,
+      groupId: this.groupId ? this.groupId.toString('hex') : null,
+      burns: this.burns.map(burn => burn.getJSON())
+    };
+  }
+
+  /**
+   * Convert the verdict to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return this.getJSON();
+  }
+}
+
+/**
+ * Test whether a script carries the SLP lokad
+ * (whether or not it is well-formed).
+ * @param {Script} script
+ * @returns {Boolean}
+ */
+
+validator.isSlpScript = function isSlpScript(script) {
+  if (script.getOp(0) !== opcodes.OP_RETURN)
+    return false;
+
+  const lokad = script.getData(1);
+
+  return lokad != null && lokad.equals(LOKAD_ID);
+};
+
+/**
+ * Test whether a script is an eMPP script which
+ * may carry ALP sections.
+ * @param {Script} script
+ * @returns {Boolean}
+ */
+
+validator.isAlpScript = function isAlpScript(script) {
+  return ALP.isEMPP(script);
+};
+
+/**
+ * Get the token script at output 0 of a transaction.
+ * Token scripts at other outputs do not move tokens.
+ * @param {TX} tx
+ * @returns {SLP|ALP|null} Null if there is no
+ * well-formed SLP or ALP script.
+ */
+
+validator.getTokenScript = function getTokenScript(tx) {
+  if (tx.outputs.length === 0)
+    return null;
+
+  const {script} = tx.outputs[0];
+
+  if (validator.isAlpScript(script)) {
+    const alp = ALP.fromScript(script);
+
+    if (!alp.isValidAlp())
+      return null;
+
+    return alp;
+  }
+
+  if (!validator.isSlpScript(script))
+    return null;
+
+  const slp = SLP.fromScript(script);
+
+  if (!slp.isValidSlp())
+    return null;
+
+  return slp;
+};
+
+/**
+ * Check the token flows of a transaction against the
+ * SLP records of the coins it spends. Output 0 may be
+ * an SLP script or an eMPP script with ALP sections.
+ * Type 2 MINTs need the token's GENESIS record to
+ * find its vault.
+ * @param {TX} tx
+ * @param {CoinView} view - Coins carrying `slp` records.
+ * @param {Object?} options
+ * @param {Function?} options.getToken - tokenId -> TokenRecord.
+ * @returns {SlpVerdict}
+ */
+
+validator.verifyTX = function verifyTX(tx, view, options = {}) {
+  const verdict = new SlpVerdict();
+  const balances = new Map();
+
+  let missing = false;
+
+  // Tally token inputs per token and type.
+  for (const {prevout} of tx.inputs) {
+    const coin = view.getOutput(prevout);
+
+    if (!coin) {
+      missing = true;
+      continue;
+    }
+
+    if (!coin.slp)
+      continue;
+
+    const {tokenId} = coin.slp;
+    const version = coin.slp.version != null ? coin.slp.version : 1;
+    const key = toKey(tokenId, version);
+
+    let balance = balances.get(key);
+
+    if (!balance) {
+      balance = new SlpBurn(tokenId, version);
+      balances.set(key, balance);
+    }
+
+    if (coin.slp.type === 'BATON')
+      balance.batons += 1;
+    else
+      balance.value = addValue(balance.value, getValue(coin.slp));
+  }
+
+  // The token inputs we know of are reported as
+  // destroyed, there is no telling what the missing
+  // ones would have covered.
+  if (missing) {
+    verdict.reject('missing-inputs');
+    return finalize(verdict, balances);
+  }
+
+  const output = tx.outputs.length > 0 ? tx.outputs[0] : null;
+
+  if (output && validator.isAlpScript(output.script))
+    return verifyALP(tx, verdict, balances);
+
+  // Not an SLP transaction: every token is destroyed.
+  if (!output || !validator.isSlpScript(output.script))
+    return finalize(verdict, balances);
+
+  const slp = SLP.fromScript(output.script);
+
+  if (!slp.isValidSlp()) {
+    verdict.reject('bad-slp-script');
+    return finalize(verdict, balances);
+  }
+
+  const txid = Buffer.from(tx.hash()).reverse();
+  const records = slp.getRecords(txid);
+
+  verdict.type = slp.getType();
+  verdict.version = slp.getVersion();
+
+  switch (verdict.type) {
+    case 'GENESIS': {
+      verdict.tokenId = txid;
+
+      if (verdict.version === TOKEN_TYPES.NFT1_CHILD) {
+        const coin = tx.inputs.length > 0
+          ? view.getOutput(tx.inputs[0].prevout)
+          : null;
+        const group = coin ? coin.slp : null;
+
+        if (!group
+            || group.version !== TOKEN_TYPES.NFT1_GROUP
+            || group.type === 'BATON'
+            || getValue(group).isZero()) {
+          verdict.reject('bad-slp-genesis-group');
+          break;
+        }
+
+        verdict.groupId = group.tokenId;
+      }
+
+      break;
+    }
+
+    case 'MINT': {
+      const tokenId = slp.getTokenId();
+      const key = toKey(tokenId, verdict.version);
+
+      verdict.tokenId = tokenId;
+
+      if (verdict.version === TOKEN_TYPES.MINT_VAULT) {
+        const token = options.getToken ? options.getToken(tokenId) : null;
+
+        if (!token || !token.vaultScriptHash) {
+          verdict.reject('bad-slp-mint-token');
+          break;
+        }
+
+        if (!validator.spendsVault(tx, view, token.vaultScriptHash)) {
+          verdict.reject('bad-slp-mint-vault');
+          break;
+        }
+
+        break;
+      }
+
+      const balance = balances.get(key);
+
+      if (!balance || balance.batons === 0) {
+        verdict.reject('bad-slp-mint-baton');
+        break;
+      }
+
+      // The baton is either passed on or
+      // deliberately ended by this MINT.
+      balance.batons = 0;
+
+      break;
+    }
+
+    case 'SEND': {
+      const tokenId = slp.getTokenId();
+      const balance = balances.get(toKey(tokenId, verdict.version));
+
+      let required = new U64(0);
+      let delivered = new U64(0);
+
+      for (const record of records) {
+        const value = getValue(record);
+
+        required = addValue(required, value);
+
+        // Amounts for missing outputs are destroyed.
+        if (record.vout < tx.outputs.length)
+          delivered = addValue(delivered, value);
+      }
+
+      verdict.tokenId = tokenId;
+
+      if (!balance || balance.value.lt(required)) {
+        verdict.reject('bad-slp-send-inputs');
+        break;
+      }
+
+      balance.value = balance.value.sub(delivered);
+
+      break;
+    }
+
+    case 'BURN': {
+      const tokenId = slp.getTokenId();
+      const balance = balances.get(toKey(tokenId, verdict.version));
+      const [record] = records;
+      const value = getValue(record);
+
+      verdict.tokenId = tokenId;
+
+      if (!balance || balance.value.lt(value)) {
+        verdict.reject('bad-slp-burn-inputs');
+        break;
+      }
+
+      // Only report what was burned beyond
+      // the explicitly declared amount.
+      balance.value = balance.value.sub(value);
+
+      break;
+    }
+
+    default: {
+      verdict.reject('bad-slp-script');
+      break;
+    }
+  }
+
+  return finalize(verdict, balances);
+};
+
+/**
+ * Test whether a transaction spends an
+ * output paying to a mint vault.
+ * @param {TX} tx
+ * @param {CoinView} view
+ * @param {Buffer} hash - Vault script hash.
+ * @returns {Boolean}
+ */
+
+validator.spendsVault = function spendsVault(tx, view, hash) {
+  assert(Buffer.isBuffer(hash) && hash.length === 20,
+    'Vault script hash must be a hash160.');
+
+  for (const {prevout} of tx.inputs) {
+    const coin = view.getOutput(prevout);
+
+    if (!coin || !coin.script.isScripthash())
+      continue;
+
+    if (coin.script.getScripthash().equals(hash))
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Test whether a transaction is a type 2 MINT
+ * of a token which spends from the token's vault.
+ * @param {TX} tx
+ * @param {CoinView} view
+ * @param {TokenRecord} token
+ * @returns {Boolean}
+ */
+
+validator.verifyVaultMint = function verifyVaultMint(tx, view, token) {
+  if (!token || token.version !== TOKEN_TYPES.MINT_VAULT)
+    return false;
+
+  if (!token.vaultScriptHash || tx.outputs.length === 0)
+    return false;
+
+  const {script} = tx.outputs[0];
+
+  if (!validator.isSlpScript(script))
+    return false;
+
+  const slp = SLP.fromScript(script);
+
+  if (!slp.isValidSlp())
+    return false;
+
+  if (slp.getType() !== 'MINT' || slp.getVersion() !== TOKEN_TYPES.MINT_VAULT)
+    return false;
+
+  if (!slp.getTokenId().equals(token.tokenId))
+    return false;
+
+  return validator.spendsVault(tx, view, token.vaultScriptHash);
+};
+
+/*
+ * Helpers
+ */
+
+function toKey(tokenId, version) {
+  return `${tokenId.toString('hex')}:${version}`;
+}
+
+function addValue(sum, value) {
+  const result = sum.add(value);
+
+  // Saturate rather than wrap on overflow.
+  if (result.lt(sum))
+    return U64.UINT64_MAX.clone();
+
+  return result;
+}
+
+function getValue(record) {
+  return U64.fromBE(record.getValueUInt64BE());
+}
+
+function verifyALP(tx, verdict, balances) {
+  const alp = ALP.fromScript(tx.outputs[0].script);
+
+  let sections;
+  try {
+    sections = alp.getSections();
+  } catch (e) {
+    verdict.reject('bad-alp-script');
+    return finalize(verdict, balances);
+  }
+
+  const txid = Buffer.from(tx.hash()).reverse();
+
+  verdict.type = alp.getType();
+  verdict.version = alp.getVersion();
+
+  // Sections work on a copy of the balances, so a failing
+  // section leaves every token input to be reported.
+  const pending = cloneBalances(balances);
+
+  // Sections of unknown token types are skipped, their
+  // tokens are left in the balances and reported as
+  // destroyed. A failing section invalidates the whole
+  // transaction, like a failing SLP script does.
+  for (const section of sections) {
+    if (section.type === null)
+      continue;
+
+    const tokenId = section.type === 'GENESIS' ? txid : section.tokenId;
+    const balance = pending.get(toKey(tokenId, section.tokenType));
+
+    if (!verdict.tokenId)
+      verdict.tokenId = tokenId;
+
+    const reason = verifySection(tx, section, balance);
+
+    if (reason) {
+      verdict.reject(reason);
+      return finalize(verdict, balances);
+    }
+  }
+
+  return finalize(verdict, pending);
+}
+
+function cloneBalances(balances) {
+  const copy = new Map();
+
+  for (const [key, balance] of balances) {
+    const item = new SlpBurn(balance.tokenId, balance.version);
+    item.value = balance.value.clone();
+    item.batons = balance.batons;
+    copy.set(key, item);
+  }
+
+  return copy;
+}
+
+function verifySection(tx, section, balance) {
+  switch (section.type) {
+    case 'GENESIS': {
+      return null;
+    }
+
+    case 'MINT': {
+      if (!balance || balance.batons === 0)
+        return 'bad-alp-mint-baton';
+
+      balance.batons = 0;
+
+      return null;
+    }
+
+    case 'SEND': {
+      let required = new U64(0);
+      let delivered = new U64(0);
+
+      for (let i = 0; i < section.amounts.length; i++) {
+        const value = U64.fromNumber(section.amounts[i]);
+
+        required = addValue(required, value);
+
+        // Amounts for missing outputs are destroyed.
+        if (i + 1 < tx.outputs.length)
+          delivered = addValue(delivered, value);
+      }
+
+      if (!balance || balance.value.lt(required))
+        return 'bad-alp-send-inputs';
+
+      balance.value = balance.value.sub(delivered);
+
+      return null;
+    }
+
+    case 'BURN': {
+      const value = U64.fromNumber(section.amount);
+
+      if (!balance || balance.value.lt(value))
+        return 'bad-alp-burn-inputs';
+
+      balance.value = balance.value.sub(value);
+
+      return null;
+    }
+  }
+
+  return 'bad-alp-script';
+}
+
+function finalize(verdict, balances) {
+  // Whatever is left over was destroyed. Balances are
+  // only consumed by a valid transaction, so an invalid
+  // one reports every token input.
+  for (const balance of balances.values()) {
+    if (!balance.isNull())
+      verdict.burns.push(balance);
+  }
+
+  return verdict;
+}
+
+/*
+ * Expose
+ */
+
+validator.SlpBurn = SlpBurn;
+validator.SlpVerdict = SlpVerdict;
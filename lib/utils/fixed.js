@@ -7,6 +7,13 @@
 'use strict';
 
 const assert = require('bsert');
+const {U64} = require('n64');
+
+/*
+ * Constants
+ */
+
+const MAX_U64 = '18446744073709551615';
 
 /**
  * Convert int to fixed number string and reduce by a
@@ -139,6 +146,87 @@ exports.fromFloat = function fromFloat(num, exp) {
   return exports.decode(num.toFixed(exp), exp);
 };
 
+/**
+ * Convert a 64 bit integer to a fixed number string and
+ * reduce by a power of ten (uses no floating point arithmetic).
+ * @param {U64} num
+ * @param {Number} exp - Number of decimal places (0-9).
+ * @returns {String} Fixed number string.
+ */
+
+exports.encodeU64 = function encodeU64(num, exp) {
+  assert(U64.isU64(num), 'Invalid integer value.');
+  assert((exp >>> 0) === exp && exp <= 9, 'Exponent is too large.');
+
+  const str = num.toString(10);
+
+  if (exp === 0)
+    return str;
+
+  let hi = str.slice(0, -exp);
+  let lo = str.slice(-exp);
+
+  while (lo.length < exp)
+    lo = '0' + lo;
+
+  lo = lo.replace(/0+$/, '');
+
+  if (hi.length === 0)
+    hi = '0';
+
+  if (lo.length === 0)
+    lo = '0';
+
+  return `${hi}.${lo}`;
+};
+
+/**
+ * Parse a fixed number string into a 64 bit integer and
+ * multiply by a power of ten (uses no floating point arithmetic).
+ * @param {String} str
+ * @param {Number} exp - Number of decimal places (0-9).
+ * @returns {U64} Integer.
+ */
+
+exports.decodeU64 = function decodeU64(str, exp) {
+  assert(typeof str === 'string');
+  assert((exp >>> 0) === exp && exp <= 9, 'Exponent is too large.');
+  assert(str.length <= 32, 'Fixed number string too large.');
+
+  let hi = str;
+  let lo = '';
+
+  const index = str.indexOf('.');
+
+  if (index !== -1) {
+    hi = str.substring(0, index);
+    lo = str.substring(index + 1);
+  }
+
+  assert(/^\d*$/.test(hi) && /^\d*$/.test(lo)
+    && (hi.length > 0 || lo.length > 0),
+    'Non-numeric characters in fixed number string.');
+
+  lo = lo.replace(/0+$/, '');
+
+  assert(lo.length <= exp,
+    'Too many decimal places in fixed number string.');
+
+  while (lo.length < exp)
+    lo += '0';
+
+  let digits = (hi + lo).replace(/^0+/, '');
+
+  if (digits.length === 0)
+    digits = '0';
+
+  assert(digits.length < MAX_U64.length
+    || (digits.length === MAX_U64.length && digits <= MAX_U64),
+    'Fixed number string exceeds 2^64-1.');
+
+  return U64.fromString(digits, 10);
+};
+
 /*
  * Helpers
  */
@@ -0,0 +1,186 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const Script = require('../lib/script/script');
+const ALP = require('../lib/script/alp');
+
+const tokenA = Buffer.alloc(32, 0xaa);
+const tokenB = Buffer.alloc(32, 0xbb);
+const txid = Buffer.alloc(32, 0x01);
+
+function reparse(alp) {
+  return ALP.fromScript(Script.fromRaw(alp.toRaw()));
+}
+
+function getValue(record) {
+  return U64.fromBE(record.getValueUInt64BE()).toString(10);
+}
+
+describe('ALP', function() {
+  it('should round-trip a GENESIS', () => {
+    const alp = reparse(ALP.fromGenesis({
+      ticker: 'TST',
+      name: 'Test Token',
+      url: 'https://example.com',
+      data: Buffer.from('0102', 'hex'),
+      decimals: 4,
+      amounts: [100, 0, 200],
+      batons: 1
+    }));
+
+    assert(ALP.isEMPP(alp));
+    assert(alp.isValidAlp());
+    assert.strictEqual(alp.getType(), 'GENESIS');
+    assert.strictEqual(alp.getVersion(), 0);
+
+    const [section] = alp.getSections();
+
+    assert.strictEqual(section.genesis.ticker.toString(), 'TST');
+    assert.strictEqual(section.genesis.name.toString(), 'Test Token');
+    assert.strictEqual(section.genesis.url.toString(), 'https://example.com');
+    assert.bufferEqual(section.genesis.data, Buffer.from('0102', 'hex'));
+    assert.strictEqual(section.genesis.decimals, 4);
+    assert.deepStrictEqual(section.amounts, [100, 0, 200]);
+    assert.strictEqual(section.batons, 1);
+
+    const [token, ...records] = alp.getRecords(txid);
+
+    assert.bufferEqual(token.tokenId, txid);
+    assert.strictEqual(token.ticker, 'TST');
+    assert.deepStrictEqual(records.map(r => [r.vout, r.type, getValue(r)]), [
+      [1, 'GENESIS', '100'],
+      [3, 'GENESIS', '200'],
+      [4, 'BATON', '1']
+    ]);
+  });
+
+  it('should round-trip a MINT', () => {
+    const alp = reparse(ALP.fromMint({
+      tokenId: tokenA,
+      amounts: [5],
+      batons: 2
+    }));
+
+    const [section] = alp.getSections();
+
+    assert.strictEqual(section.type, 'MINT');
+    assert.bufferEqual(section.tokenId, tokenA);
+    assert.deepStrictEqual(section.amounts, [5]);
+    assert.strictEqual(section.batons, 2);
+  });
+
+  it('should round-trip a SEND', () => {
+    const alp = reparse(ALP.fromSend({
+      tokenId: tokenA.toString('hex'),
+      amounts: [1, '2', U64.fromInt(3), ALP.MAX_AMOUNT]
+    }));
+
+    const [section] = alp.getSections();
+
+    assert.strictEqual(section.type, 'SEND');
+    assert.bufferEqual(section.tokenId, tokenA);
+    assert.deepStrictEqual(section.amounts, [1, 2, 3, ALP.MAX_AMOUNT]);
+
+    const records = alp.getRecords(txid);
+
+    assert.strictEqual(records.length, 4);
+    assert.bufferEqual(records[0].hash, Buffer.from(txid).reverse());
+    assert.strictEqual(records[3].vout, 4);
+    assert.strictEqual(getValue(records[3]), String(ALP.MAX_AMOUNT));
+  });
+
+  it('should round-trip several sections', () => {
+    const alp = reparse(ALP.fromSections([
+      {type: 'SEND', tokenId: tokenA, amounts: [10]},
+      {type: 'SEND', tokenId: tokenB, amounts: [0, 20]},
+      {type: 'BURN', tokenId: tokenA, amount: 5}
+    ]));
+
+    const sections = alp.getSections();
+
+    assert.deepStrictEqual(sections.map(s => s.type), ['SEND', 'SEND', 'BURN']);
+    assert.bufferEqual(sections[1].tokenId, tokenB);
+    assert.strictEqual(sections[2].amount, 5);
+
+    const records = alp.getRecords(txid);
+
+    assert.deepStrictEqual(records.map(r => [r.vout, r.type, getValue(r)]), [
+      [1, 'SEND', '10'],
+      [2, 'SEND', '20'],
+      [0, 'BURN', '5']
+    ]);
+  });
+
+  it('should skip foreign pushes and unknown token types', () => {
+    const send = ALP.fromSend({tokenId: tokenA, amounts: [10]});
+    const unknown = Buffer.concat([ALP.LOKAD_ID, Buffer.from([0x89, 0x01])]);
+    const raw = Buffer.concat([
+      send.toRaw(),
+      Buffer.from([0x04]), Buffer.from('abcd1234', 'hex'),
+      Buffer.from([unknown.length]), unknown
+    ]);
+
+    const alp = ALP.fromScript(Script.fromRaw(raw));
+    const sections = alp.getSections();
+
+    assert.strictEqual(sections.length, 2);
+    assert.strictEqual(sections[0].type, 'SEND');
+    assert.strictEqual(sections[1].type, null);
+    assert.strictEqual(sections[1].tokenType, 0x89);
+  });
+
+  it('should reject malformed scripts', () => {
+    const send = ALP.fromSend({tokenId: tokenA, amounts: [10]});
+
+    // Trailing byte in the section.
+    const raw = send.toRaw();
+    const data = Buffer.concat([send.code[2].data, Buffer.from([0])]);
+    const bad = Script.fromRaw(Buffer.concat([
+      raw.slice(0, 2),
+      Buffer.from([data.length]),
+      data
+    ]));
+
+    assert.strictEqual(ALP.fromScript(bad).isValidAlp(), false);
+
+    // The same token moved twice.
+    const twice = ALP.fromSections([
+      {type: 'SEND', tokenId: tokenA, amounts: [10]},
+      {type: 'SEND', tokenId: tokenA, amounts: [0, 10]}
+    ]);
+
+    assert.strictEqual(reparse(twice).isValidAlp(), false);
+
+    // An output colored twice.
+    const colored = ALP.fromSections([
+      {type: 'SEND', tokenId: tokenA, amounts: [10]},
+      {type: 'SEND', tokenId: tokenB, amounts: [10]}
+    ]);
+
+    assert.strictEqual(reparse(colored).isValidAlp(), false);
+
+    // GENESIS after another section.
+    const genesis = ALP.fromSections([
+      {type: 'SEND', tokenId: tokenA, amounts: [10]},
+      {type: 'GENESIS', amounts: [0, 10]}
+    ]);
+
+    assert.strictEqual(reparse(genesis).isValidAlp(), false);
+  });
+
+  it('should reject amounts over 48 bits', () => {
+    assert.throws(() => ALP.fromSend({
+      tokenId: tokenA,
+      amounts: [ALP.MAX_AMOUNT + 1]
+    }), /uint48/);
+
+    assert.throws(() => ALP.fromSend({
+      tokenId: tokenA,
+      amounts: ['-1']
+    }), /decimal string/);
+  });
+});
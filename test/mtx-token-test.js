@@ -0,0 +1,277 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const MTX = require('../lib/primitives/mtx');
+const Coin = require('../lib/primitives/coin');
+const KeyRing = require('../lib/primitives/keyring');
+const Script = require('../lib/script/script');
+const SLP = require('../lib/script/slp');
+const ALP = require('../lib/script/alp');
+const validator = require('../lib/script/slpvalidator');
+const {BurnError} = MTX;
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+const addr = ring.getAddress();
+const other = KeyRing.fromPrivate(Buffer.alloc(32, 2)).getAddress();
+
+const tokenA = Buffer.alloc(32, 0xaa);
+const tokenB = Buffer.alloc(32, 0xbb);
+
+function tokenCoin(n, tokenId, value, options = {}) {
+  const hash = Buffer.alloc(32, n);
+  const version = options.version != null ? options.version : 1;
+
+  return new Coin({
+    hash,
+    index: 1,
+    value: 546,
+    script: Script.fromAddress(addr),
+    slp: SLP.SlpCoinRecord({
+      hash,
+      vout: 1,
+      tokenId,
+      value: U64.fromInt(value).toBE(Buffer),
+      type: options.type || 'SEND',
+      version
+    })
+  });
+}
+
+function feeCoin(n, value) {
+  return new Coin({
+    hash: Buffer.alloc(32, n),
+    index: 0,
+    value,
+    script: Script.fromAddress(addr)
+  });
+}
+
+function getSend(mtx) {
+  const slp = SLP.fromScript(mtx.outputs[0].script);
+  assert(slp.isValidSlp(), 'No SLP script.');
+  return slp.getRecords(Buffer.alloc(32, 0))
+    .map(record => U64.fromBE(record.getValueUInt64BE()).toString(10));
+}
+
+describe('MTX Tokens', function() {
+  describe('fundToken', function() {
+    it('should build a SEND with token change', async () => {
+      const coins = [
+        tokenCoin(1, tokenA, 30),
+        tokenCoin(2, tokenA, 50),
+        tokenCoin(3, tokenB, 100),
+        feeCoin(10, 100000)
+      ];
+
+      const mtx = new MTX();
+      mtx.addOutput(other, 546);
+
+      await mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA, amount: 60}
+      });
+
+      assert.deepStrictEqual(getSend(mtx), ['60', '20']);
+      assert(mtx.outputs[2].script.equals(Script.fromAddress(addr)));
+
+      const verdict = validator.verifyTX(mtx, mtx.view);
+
+      assert.strictEqual(verdict.valid, true);
+      assert.strictEqual(verdict.burns.length, 0);
+
+      for (const {prevout} of mtx.inputs) {
+        const coin = mtx.view.getOutput(prevout);
+        assert(!coin.slp || coin.slp.tokenId.equals(tokenA));
+      }
+    });
+
+    it('should split amounts between recipients', async () => {
+      const coins = [tokenCoin(1, tokenA, 100), feeCoin(10, 100000)];
+
+      const mtx = new MTX();
+      mtx.addOutput(other, 546);
+      mtx.addOutput(other, 546);
+
+      await mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA.toString('hex'), amounts: [25, '75']}
+      });
+
+      assert.deepStrictEqual(getSend(mtx), ['25', '75']);
+      assert.strictEqual(validator.verifyTX(mtx, mtx.view).valid, true);
+    });
+
+    it('should not pay fees with token coins', async () => {
+      const coins = [tokenCoin(1, tokenA, 100), tokenCoin(2, tokenB, 5)];
+
+      const mtx = new MTX();
+      mtx.addOutput(other, 546);
+
+      await assert.rejects(mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA, amount: 10}
+      }), {type: 'FundingError'});
+
+      assert.strictEqual(mtx.outputs.length, 1);
+    });
+
+    it('should fail on too few tokens', async () => {
+      const coins = [tokenCoin(1, tokenA, 10), feeCoin(10, 100000)];
+
+      const mtx = new MTX();
+      mtx.addOutput(other, 546);
+
+      await assert.rejects(mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA, amount: 11}
+      }), /Not enough tokens/);
+    });
+
+    it('should never select batons', async () => {
+      const coins = [
+        tokenCoin(1, tokenA, 0, {type: 'BATON'}),
+        tokenCoin(2, tokenA, 10),
+        feeCoin(10, 100000)
+      ];
+
+      const mtx = new MTX();
+      mtx.addOutput(other, 546);
+
+      await mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA, amount: 10}
+      });
+
+      for (const {prevout} of mtx.inputs) {
+        const coin = mtx.view.getOutput(prevout);
+        assert(!coin.slp || coin.slp.type !== 'BATON');
+      }
+    });
+
+    it('should take bigint and string amounts', async () => {
+      const coins = [tokenCoin(1, tokenA, 100), feeCoin(10, 100000)];
+
+      const mtx = new MTX();
+      mtx.addOutput(other, 546);
+      mtx.addOutput(other, 546);
+
+      await mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA, amounts: [BigInt(30), '40']}
+      });
+
+      assert.deepStrictEqual(getSend(mtx), ['30', '40', '30']);
+    });
+
+    it('should reject negative and fractional amounts', async () => {
+      for (const amount of [-1, '-5', 1.5, BigInt(-1), '1e3']) {
+        const coins = [tokenCoin(1, tokenA, 100), feeCoin(10, 100000)];
+        const mtx = new MTX();
+
+        mtx.addOutput(other, 546);
+
+        await assert.rejects(mtx.fund(coins, {
+          changeAddress: addr,
+          token: {tokenId: tokenA, amount}
+        }), /uint64/);
+      }
+    });
+
+    it('should build an ALP SEND for ALP coins', async () => {
+      const coins = [tokenCoin(1, tokenA, 60, {version: 0}),
+        feeCoin(10, 100000)];
+
+      const mtx = new MTX({burnGuard: true});
+      mtx.addOutput(other, 546);
+
+      await mtx.fund(coins, {
+        changeAddress: addr,
+        token: {tokenId: tokenA, amount: 25}
+      });
+
+      assert(validator.getTokenScript(mtx) instanceof ALP);
+      assert.strictEqual(mtx.getBurns().length, 0);
+      assert.strictEqual(mtx.sign(ring), mtx.inputs.length);
+    });
+  });
+
+  describe('Burn Guard', function() {
+    it('should refuse to sign a burn', () => {
+      const mtx = new MTX({burnGuard: true});
+
+      mtx.addCoin(tokenCoin(1, tokenA, 60));
+      mtx.addOutput(other, 546);
+
+      let err;
+      try {
+        mtx.sign(ring);
+      } catch (e) {
+        err = e;
+      }
+
+      assert(err instanceof BurnError);
+      assert.strictEqual(err.burns.length, 1);
+      assert.bufferEqual(err.burns[0].tokenId, tokenA);
+      assert.strictEqual(err.burns[0].value.toString(10), '60');
+    });
+
+    it('should sign allowed burns', () => {
+      const mtx = new MTX({
+        burnGuard: true,
+        allowBurn: [tokenA.toString('hex')]
+      });
+
+      mtx.addCoin(tokenCoin(1, tokenA, 60));
+      mtx.addOutput(other, 546);
+
+      assert.strictEqual(mtx.sign(ring), 1);
+    });
+
+    it('should sign a balanced SEND', () => {
+      const mtx = new MTX({burnGuard: true});
+
+      mtx.addCoin(tokenCoin(1, tokenA, 60));
+      mtx.addOutput(SLP.fromSend({tokenId: tokenA, amounts: [60]}), 0);
+      mtx.addOutput(other, 546);
+
+      assert.strictEqual(mtx.sign(ring), 1);
+    });
+
+    it('should catch a short SEND', () => {
+      const mtx = new MTX();
+
+      mtx.addCoin(tokenCoin(1, tokenA, 60));
+      mtx.addOutput(SLP.fromSend({tokenId: tokenA, amounts: [50]}), 0);
+      mtx.addOutput(other, 546);
+
+      assert.throws(() => mtx.checkBurn(), BurnError);
+      mtx.checkBurn([tokenA]);
+    });
+
+    it('should not be bypassed by a missing input', () => {
+      const mtx = new MTX({burnGuard: true});
+
+      mtx.addCoin(tokenCoin(1, tokenA, 60));
+      mtx.addInput({prevout: {hash: Buffer.alloc(32, 9), index: 0}});
+      mtx.addOutput(other, 546);
+
+      const burns = mtx.getBurns();
+
+      assert.strictEqual(burns.length, 1);
+      assert.strictEqual(burns[0].value.toString(10), '60');
+      assert.throws(() => mtx.sign(ring), BurnError);
+    });
+
+    it('should keep the guard on clones', () => {
+      const mtx = new MTX({burnGuard: true, allowBurn: [tokenB]});
+      const copy = mtx.clone();
+
+      assert.strictEqual(copy.burnGuard, true);
+      assert(copy.allowBurn.has(tokenB.toString('hex')));
+    });
+  });
+});
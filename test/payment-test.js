@@ -0,0 +1,120 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const Coin = require('../lib/primitives/coin');
+const KeyRing = require('../lib/primitives/keyring');
+const Script = require('../lib/script/script');
+const ProtoWriter = require('../lib/b70/utils/protowriter');
+const {Payment, PaymentACK} = require('../lib/b70/b70');
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+const addr = ring.getAddress();
+
+const scripts = [
+  Buffer.from('51', 'hex'),
+  Buffer.from('52', 'hex'),
+  Buffer.from('53', 'hex')
+];
+
+function createPayment(values) {
+  const bw = new ProtoWriter();
+
+  // Decoded, as refund outputs may leave out their value.
+  for (let i = 0; i < values.length; i++) {
+    const out = new ProtoWriter();
+
+    if (values[i] != null)
+      out.writeFieldU64(1, values[i]);
+
+    out.writeFieldBytes(2, scripts[i]);
+
+    bw.writeFieldBytes(3, out.render());
+  }
+
+  return Payment.fromRaw(bw.render());
+}
+
+function getValues(outputs) {
+  return outputs.map(output => output.value);
+}
+
+describe('Payment', function() {
+  describe('Refunds', function() {
+    it('should prorate a refund', () => {
+      const payment = createPayment([1000, 3000]);
+      const outputs = payment.getRefundOutputs(400);
+
+      assert.deepStrictEqual(getValues(outputs), [100, 300]);
+      assert.bufferEqual(outputs[1].script, scripts[1]);
+    });
+
+    it('should give rounding dust to the first output', () => {
+      const payment = createPayment([1, 1, 1]);
+      const outputs = payment.getRefundOutputs(100);
+
+      assert.deepStrictEqual(getValues(outputs), [34, 33, 33]);
+    });
+
+    it('should split evenly without values', () => {
+      const payment = createPayment([null, null]);
+      const outputs = payment.getRefundOutputs(101);
+
+      assert.deepStrictEqual(getValues(outputs), [51, 50]);
+    });
+
+    it('should count absent values as zero', () => {
+      const payment = createPayment([null, 1000, 3000]);
+      const outputs = payment.getRefundOutputs(400);
+
+      assert.deepStrictEqual(getValues(outputs), [100, 300]);
+      assert.bufferEqual(outputs[0].script, scripts[1]);
+    });
+
+    it('should drop empty shares', () => {
+      const payment = createPayment([0, 1000]);
+      const outputs = payment.getRefundOutputs(10);
+
+      assert.deepStrictEqual(getValues(outputs), [10]);
+      assert.bufferEqual(outputs[0].script, scripts[1]);
+    });
+
+    it('should require refund outputs', () => {
+      assert.throws(() => new Payment().getRefundOutputs(100),
+        /No refund outputs/);
+      assert.throws(() => createPayment([1]).getRefundOutputs(0));
+    });
+
+    it('should build a signed refund', async () => {
+      const payment = new Payment({
+        refundTo: [{value: 1000, script: Script.fromAddress(addr).toRaw()}]
+      });
+
+      const coin = new Coin({
+        hash: Buffer.alloc(32, 1),
+        index: 0,
+        value: 100000,
+        script: Script.fromAddress(addr)
+      });
+
+      const mtx = await payment.createRefund(5000, [coin], ring);
+
+      assert(mtx.isSigned());
+      assert.strictEqual(mtx.outputs[0].value, 5000);
+      assert(mtx.verify());
+    });
+  });
+
+  describe('PaymentACK', function() {
+    it('should acknowledge a payment', () => {
+      const payment = createPayment([1000]);
+      const ack = PaymentACK.fromPayment(payment, 'thanks');
+
+      assert.strictEqual(ack.memo, 'thanks');
+      assert.bufferEqual(ack.payment.toRaw(), payment.toRaw());
+      assert.notStrictEqual(ack.payment, payment);
+    });
+  });
+});
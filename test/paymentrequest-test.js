@@ -0,0 +1,55 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const KeyRing = require('../lib/primitives/keyring');
+const {PaymentRequest} = require('../lib/b70/b70');
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+const other = KeyRing.fromPrivate(Buffer.alloc(32, 2));
+
+function createRequest(options) {
+  const request = new PaymentRequest({
+    paymentDetails: {time: 1000, memo: 'order 1'}
+  });
+
+  request.signKey(ring, options);
+
+  return PaymentRequest.fromRaw(request.toRaw());
+}
+
+describe('PaymentRequest', function() {
+  describe('Merchant Keys', function() {
+    it('should verify against the pinned address', () => {
+      const request = createRequest();
+
+      assert.strictEqual(request.pkiType, 'ecash+sha256');
+      assert.bufferEqual(request.getSigner(), ring.getPublicKey());
+      assert.strictEqual(request.verifyAddress(ring.getAddress()), true);
+      assert.strictEqual(request.verifyAddress(other.getAddress()), false);
+    });
+
+    it('should verify when only the key hash is published', () => {
+      const request = createRequest({address: true});
+
+      assert.strictEqual(request.verifyAddress(ring.getAddress()), true);
+      assert.strictEqual(request.verifyAddress(other.getAddress()), false);
+    });
+
+    it('should not verify without the pinned address', () => {
+      const request = createRequest();
+
+      assert.strictEqual(request.verify(), false);
+    });
+
+    it('should not verify changed details', () => {
+      const request = createRequest();
+
+      request.paymentDetails.memo = 'order 2';
+
+      assert.strictEqual(request.verifyAddress(ring.getAddress()), false);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const MTX = require('../lib/primitives/mtx');
+const Coin = require('../lib/primitives/coin');
+const KeyRing = require('../lib/primitives/keyring');
+const Script = require('../lib/script/script');
+const SLP = require('../lib/script/slp');
+const {Payment, PaymentDetails, paymentvalidator} = require('../lib/b70/b70');
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+const addr = ring.getAddress();
+const merchant = KeyRing.fromPrivate(Buffer.alloc(32, 2)).getAddress();
+const merchantScript = Script.fromAddress(merchant).toRaw();
+
+const tokenA = Buffer.alloc(32, 0xaa);
+const tokenB = Buffer.alloc(32, 0xbb);
+
+function tokenCoin(n, tokenId, value, version = 1) {
+  const hash = Buffer.alloc(32, n);
+
+  return new Coin({
+    hash,
+    index: 1,
+    value: 546,
+    script: Script.fromAddress(addr),
+    slp: SLP.SlpCoinRecord({
+      hash,
+      vout: 1,
+      tokenId,
+      value: U64.fromInt(value).toBE(Buffer),
+      type: 'SEND',
+      version
+    })
+  });
+}
+
+function feeCoin(n, value) {
+  return new Coin({
+    hash: Buffer.alloc(32, n),
+    index: 0,
+    value,
+    script: Script.fromAddress(addr)
+  });
+}
+
+function createDetails(options) {
+  return new PaymentDetails(Object.assign({
+    time: 1000,
+    outputs: [{value: 10000, script: merchantScript}]
+  }, options));
+}
+
+function createTokenDetails(amount) {
+  return createDetails({
+    tokenId: tokenA,
+    outputs: [{value: 546, script: merchantScript, tokenAmount: amount}]
+  });
+}
+
+function createPayment(mtx) {
+  return new Payment({transactions: [mtx.toRaw()]});
+}
+
+function verify(mtx, details, options) {
+  return paymentvalidator.verifyPayment(createPayment(mtx), details,
+    Object.assign({view: mtx.view}, options));
+}
+
+describe('Payment Validator', function() {
+  it('should accept a payment', () => {
+    const mtx = new MTX();
+    mtx.addCoin(feeCoin(1, 100000));
+    mtx.addOutput(merchant, 10000);
+    mtx.addOutput(addr, 80000);
+
+    const verdict = verify(mtx, createDetails());
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.fee, 10000);
+    assert.strictEqual(verdict.shortfalls.length, 0);
+  });
+
+  it('should report a short payment', () => {
+    const mtx = new MTX();
+    mtx.addCoin(feeCoin(1, 100000));
+    mtx.addOutput(merchant, 9000);
+    mtx.addOutput(addr, 80000);
+
+    const verdict = verify(mtx, createDetails());
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'missing-outputs');
+    assert.strictEqual(verdict.shortfalls[0].found, true);
+    assert.strictEqual(verdict.shortfalls[0].paid, 9000);
+  });
+
+  it('should reject expired details', () => {
+    const mtx = new MTX();
+    mtx.addCoin(feeCoin(1, 100000));
+    mtx.addOutput(merchant, 10000);
+
+    const details = createDetails({expires: 2000});
+    const verdict = verify(mtx, details, {now: 2001});
+
+    assert.strictEqual(verdict.reason, 'expired');
+    assert.strictEqual(verify(mtx, details, {now: 2000}).valid, true);
+  });
+
+  it('should reject an insufficient fee', () => {
+    const mtx = new MTX();
+    mtx.addCoin(feeCoin(1, 10000));
+    mtx.addOutput(merchant, 10000);
+
+    const verdict = verify(mtx, createDetails());
+
+    assert.strictEqual(verdict.reason, 'insufficient-fee');
+  });
+
+  it('should require a view to check fees', () => {
+    const mtx = new MTX();
+    mtx.addCoin(feeCoin(1, 100000));
+    mtx.addOutput(merchant, 10000);
+
+    const payment = createPayment(mtx);
+    const details = createDetails();
+
+    const verdict = paymentvalidator.verifyPayment(payment, details);
+
+    assert.strictEqual(verdict.reason, 'missing-view');
+
+    const unchecked = paymentvalidator.verifyPayment(payment, details, {
+      fee: false
+    });
+
+    assert.strictEqual(unchecked.valid, true);
+    assert.strictEqual(unchecked.fee, -1);
+  });
+
+  it('should treat a details output without a script as missing', () => {
+    const mtx = new MTX();
+    mtx.addCoin(feeCoin(1, 100000));
+    mtx.addOutput(merchant, 10000);
+
+    const details = createDetails();
+    details.outputs.push({value: 1000, script: null});
+
+    const verdict = verify(mtx, details);
+
+    assert.strictEqual(verdict.reason, 'missing-outputs');
+    assert.strictEqual(verdict.shortfalls.length, 1);
+    assert.strictEqual(verdict.shortfalls[0].index, 1);
+    assert.strictEqual(verdict.shortfalls[0].isMissing(), true);
+    assert.strictEqual(verdict.shortfalls[0].getJSON().script, null);
+  });
+
+  describe('Tokens', function() {
+    function pay(coins, script, values) {
+      const mtx = new MTX();
+
+      for (const coin of coins)
+        mtx.addCoin(coin);
+
+      mtx.addCoin(feeCoin(9, 100000));
+      mtx.addOutput(script, 0);
+
+      for (const [address, value] of values)
+        mtx.addOutput(address, value);
+
+      return mtx;
+    }
+
+    it('should accept a token payment', () => {
+      const mtx = pay([tokenCoin(1, tokenA, 60)],
+        SLP.fromSend({tokenId: tokenA, amounts: [50, 10]}),
+        [[merchant, 546], [addr, 546]]);
+
+      const verdict = verify(mtx, createTokenDetails(50), {tokens: true});
+
+      assert.strictEqual(verdict.valid, true);
+      assert.strictEqual(verdict.shortfalls.length, 0);
+    });
+
+    it('should require a view to check tokens', () => {
+      const mtx = pay([tokenCoin(1, tokenA, 60)],
+        SLP.fromSend({tokenId: tokenA, amounts: [60]}),
+        [[merchant, 546]]);
+
+      const verdict = paymentvalidator.verifyPayment(createPayment(mtx),
+        createTokenDetails(50), {fee: false, tokens: true});
+
+      assert.strictEqual(verdict.reason, 'missing-view');
+    });
+
+    it('should report missing tokens', () => {
+      const mtx = pay([tokenCoin(1, tokenA, 60)],
+        SLP.fromSend({tokenId: tokenA, amounts: [40, 20]}),
+        [[merchant, 546], [addr, 546]]);
+
+      const verdict = verify(mtx, createTokenDetails(50), {tokens: true});
+
+      assert.strictEqual(verdict.reason, 'missing-outputs');
+      assert.strictEqual(verdict.shortfalls[0].tokenPaid.toString(10), '40');
+    });
+
+    it('should reject tokens the inputs do not cover', () => {
+      const mtx = pay([tokenCoin(1, tokenA, 10)],
+        SLP.fromSend({tokenId: tokenA, amounts: [50]}),
+        [[merchant, 546]]);
+
+      const verdict = verify(mtx, createTokenDetails(50), {tokens: true});
+
+      assert.strictEqual(verdict.reason, 'invalid-token');
+    });
+
+    it('should not credit a SEND after output 0', () => {
+      const mtx = new MTX();
+
+      mtx.addCoin(tokenCoin(1, tokenA, 60));
+      mtx.addCoin(feeCoin(9, 100000));
+      mtx.addOutput(merchant, 546);
+      mtx.addOutput(SLP.fromSend({tokenId: tokenA, amounts: [546, 50]}), 0);
+
+      const verdict = verify(mtx, createTokenDetails(50), {
+        tokens: true,
+        fee: false
+      });
+
+      assert.strictEqual(verdict.reason, 'missing-outputs');
+      assert.strictEqual(verdict.shortfalls[0].tokenPaid.toString(10), '0');
+    });
+
+    it('should not credit other tokens or token types', () => {
+      const other = pay([tokenCoin(1, tokenB, 60)],
+        SLP.fromSend({tokenId: tokenB, amounts: [60]}),
+        [[merchant, 546]]);
+
+      const wrong = verify(other, createTokenDetails(50), {tokens: true});
+
+      assert.strictEqual(wrong.reason, 'missing-outputs');
+
+      const nft = pay([tokenCoin(1, tokenA, 60, 0x41)],
+        SLP.fromSend({version: 0x41, tokenId: tokenA, amounts: [60]}),
+        [[merchant, 546]]);
+
+      const type = verify(nft, createTokenDetails(50), {tokens: true});
+
+      assert.strictEqual(type.reason, 'missing-outputs');
+    });
+
+    it('should ignore tokens unless asked', () => {
+      const mtx = new MTX();
+      mtx.addCoin(feeCoin(1, 100000));
+      mtx.addOutput(merchant, 546);
+
+      const verdict = verify(mtx, createTokenDetails(50));
+
+      assert.strictEqual(verdict.valid, true);
+    });
+  });
+});
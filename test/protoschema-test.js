@@ -0,0 +1,154 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const ProtoWriter = require('../lib/b70/utils/protowriter');
+const ProtoSchema = require('../lib/b70/utils/protoschema');
+const KeyRing = require('../lib/primitives/keyring');
+const {
+  PaymentRequest,
+  PaymentDetails,
+  Payment,
+  PaymentACK
+} = require('../lib/b70/b70');
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+
+function createDetails() {
+  const out = new ProtoWriter();
+  out.writeFieldU64(1, 1000);
+  out.writeFieldString(15, 'out-ext');
+  out.writeFieldBytes(2, Buffer.from('76a914', 'hex'));
+  out.writeFieldBytes(3, U64.fromInt(5).toBE(Buffer));
+
+  const bw = new ProtoWriter();
+  bw.writeFieldU32(20, 7);
+  bw.writeFieldString(1, 'main');
+  bw.writeFieldBytes(2, out.render());
+  bw.writeFieldU64(3, 1700000000);
+  bw.writeFieldString(12, 'between');
+  bw.writeFieldString(5, 'memo');
+  bw.writeFieldBytes(8, Buffer.alloc(32, 1));
+  bw.writeFieldU32(9, 1);
+  bw.writeFieldString(10, 'tail');
+
+  return bw.render();
+}
+
+describe('Protobuf Schema', function() {
+  it('should keep unknown fields in place', () => {
+    const raw = createDetails();
+    const details = PaymentDetails.fromRaw(raw);
+
+    assert.strictEqual(details.network, 'main');
+    assert.strictEqual(details.memo, 'memo');
+    assert.strictEqual(details.outputs[0].value, 1000);
+    assert.strictEqual(details.outputs[0].tokenAmount.toString(10), '5');
+
+    assert.deepStrictEqual(details.unknown.map(f => [f.tag, f.after]),
+      [[20, 0], [12, 3], [10, 9]]);
+    assert.deepStrictEqual(details.outputs[0].unknown.map(f => f.tag), [15]);
+
+    assert.bufferEqual(details.toRaw(), raw);
+  });
+
+  it('should round-trip payments and acks', () => {
+    const payment = new Payment({
+      transactions: [Buffer.from('00', 'hex')],
+      refundTo: [{value: 1, script: Buffer.from('51', 'hex')}],
+      memo: 'hi'
+    });
+
+    const bw = new ProtoWriter();
+    bw.writeBytes(payment.toRaw());
+    bw.writeFieldU64(7, 3);
+
+    const raw = bw.render();
+
+    assert.bufferEqual(Payment.fromRaw(raw).toRaw(), raw);
+
+    const ack = PaymentACK.fromPayment(Payment.fromRaw(raw), 'ok');
+    const copy = PaymentACK.fromRaw(ack.toRaw());
+
+    assert.strictEqual(copy.memo, 'ok');
+    assert.bufferEqual(copy.payment.toRaw(), raw);
+  });
+
+  it('should encode fresh messages canonically', () => {
+    const details = new PaymentDetails({
+      time: 5,
+      outputs: [{value: 2, script: Buffer.from('51', 'hex')}]
+    });
+
+    assert.strictEqual(details.unknown.length, 0);
+    assert.bufferEqual(PaymentDetails.fromRaw(details.toRaw()).toRaw(),
+      details.toRaw());
+  });
+
+  it('should reject missing required fields', () => {
+    // Network without a time.
+    assert.throws(() => {
+      PaymentDetails.fromRaw(Buffer.from('0a046d61696e', 'hex'));
+    });
+  });
+
+  it('should decode added fields', () => {
+    const schema = new ProtoSchema([
+      {tag: 1, name: 'name', type: 'string'}
+    ]);
+
+    schema.add({tag: 2, name: 'extra', type: 'string', optional: true});
+
+    const obj = {name: 'a', extra: 'b', unknown: []};
+    const copy = schema.decode(schema.encode(obj));
+
+    assert.strictEqual(copy.name, 'a');
+    assert.strictEqual(copy.extra, 'b');
+  });
+
+  describe('Signatures', function() {
+    it('should verify over unknown fields', () => {
+      const request = new PaymentRequest();
+      request.paymentDetails = PaymentDetails.fromRaw(createDetails());
+      request.signKey(ring);
+
+      const raw = request.toRaw();
+      const copy = PaymentRequest.fromRaw(raw);
+
+      assert.bufferEqual(copy.toRaw(), raw);
+      assert.strictEqual(copy.verifyAddress(ring.getAddress()), true);
+    });
+
+    it('should verify over the received details bytes', () => {
+      // Out of order and repeated fields do not survive
+      // re-encoding, the received bytes are signed instead.
+      const bw = new ProtoWriter();
+      bw.writeFieldString(5, 'first');
+      bw.writeFieldU64(3, 1700000000);
+      bw.writeFieldString(1, 'main');
+      bw.writeFieldString(5, 'memo');
+
+      const details = bw.render();
+
+      assert.notBufferEqual(PaymentDetails.fromRaw(details).toRaw(), details);
+
+      const request = new PaymentRequest();
+      request.paymentDetails = PaymentDetails.fromRaw(details);
+      request.serializedPaymentDetails = details;
+      request.signKey(ring);
+
+      const copy = PaymentRequest.fromRaw(request.toRaw());
+
+      assert.strictEqual(copy.paymentDetails.memo, 'memo');
+      assert.bufferEqual(copy.getDetailsRaw(), details);
+      assert.strictEqual(copy.verifyAddress(ring.getAddress()), true);
+
+      copy.paymentDetails.memo = 'changed';
+
+      assert.strictEqual(copy.verifyAddress(ring.getAddress()), false);
+    });
+  });
+});
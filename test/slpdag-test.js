@@ -0,0 +1,195 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {BufferMap} = require('buffer-map');
+const MTX = require('../lib/primitives/mtx');
+const KeyRing = require('../lib/primitives/keyring');
+const SLP = require('../lib/script/slp');
+const ALP = require('../lib/script/alp');
+const SlpDAG = require('../lib/script/slpdag');
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+const addr = ring.getAddress();
+
+class Source {
+  constructor() {
+    this.txs = new BufferMap();
+    this.calls = 0;
+  }
+
+  add(mtx) {
+    const tx = mtx.toTX();
+    this.txs.set(tx.hash(), tx);
+    return tx;
+  }
+
+  remove(tx) {
+    this.txs.delete(tx.hash());
+  }
+
+  async getTransaction(hash) {
+    this.calls += 1;
+    return this.txs.get(hash) || null;
+  }
+}
+
+function createDAG(source, options) {
+  return new SlpDAG(Object.assign({
+    getTransaction: hash => source.getTransaction(hash)
+  }, options));
+}
+
+function genesis(script) {
+  const mtx = new MTX();
+  mtx.addInput({prevout: {hash: Buffer.alloc(32, 0), index: 0xffffffff}});
+  mtx.addOutput(script, 0);
+  mtx.addOutput(addr, 546);
+  return mtx;
+}
+
+function send(parent, script, outputs) {
+  const mtx = new MTX();
+  mtx.addInput({prevout: {hash: parent.hash(), index: 1}});
+  mtx.addOutput(script, 0);
+  for (let i = 0; i < outputs; i++)
+    mtx.addOutput(addr, 546);
+  return mtx;
+}
+
+function getTokenId(tx) {
+  return Buffer.from(tx.hash()).reverse();
+}
+
+describe('SLP DAG', function() {
+  it('should validate a SEND back to its GENESIS', async () => {
+    const source = new Source();
+    const gen = source.add(genesis(SLP.fromGenesis({
+      ticker: 'TST',
+      batonVout: -1,
+      amount: 100
+    })));
+    const tokenId = getTokenId(gen);
+    const tx = source.add(send(gen,
+      SLP.fromSend({tokenId, amounts: [40, 60]}), 2));
+
+    const dag = createDAG(source);
+    const verdict = await dag.verify(tx);
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.type, 'SEND');
+    assert.bufferEqual(verdict.tokenId, tokenId);
+    assert.strictEqual(verdict.burns.length, 0);
+    assert.strictEqual(await dag.isValid(gen.hash()), true);
+
+    const token = await dag.getToken(tokenId);
+
+    assert(token);
+    assert.bufferEqual(token.tokenId, tokenId);
+  });
+
+  it('should memoise verdicts', async () => {
+    const source = new Source();
+    const gen = source.add(genesis(SLP.fromGenesis({amount: 100})));
+    const tokenId = getTokenId(gen);
+    const tx = source.add(send(gen,
+      SLP.fromSend({tokenId, amounts: [100]}), 1));
+
+    const dag = createDAG(source);
+
+    assert.strictEqual((await dag.verify(tx)).valid, true);
+
+    const calls = source.calls;
+
+    assert.strictEqual((await dag.verify(tx)).valid, true);
+    assert.strictEqual(source.calls, calls);
+
+    dag.reset();
+
+    assert.strictEqual((await dag.verify(tx)).valid, true);
+    assert(source.calls > calls);
+  });
+
+  it('should not credit tokens of an invalid parent', async () => {
+    const source = new Source();
+    const gen = source.add(genesis(SLP.fromGenesis({amount: 100})));
+    const tokenId = getTokenId(gen);
+    const bad = source.add(send(gen,
+      SLP.fromSend({tokenId, amounts: [150]}), 1));
+    const tx = source.add(send(bad,
+      SLP.fromSend({tokenId, amounts: [100]}), 1));
+
+    const dag = createDAG(source);
+    const verdict = await dag.verify(tx);
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'bad-slp-send-inputs');
+    assert.strictEqual(await dag.isValid(bad.hash()), false);
+  });
+
+  it('should not memoise missing inputs', async () => {
+    const source = new Source();
+    const gen = source.add(genesis(SLP.fromGenesis({amount: 100})));
+    const tokenId = getTokenId(gen);
+    const tx = source.add(send(gen,
+      SLP.fromSend({tokenId, amounts: [100]}), 1));
+
+    source.remove(gen);
+
+    const dag = createDAG(source);
+    const missing = await dag.verify(tx);
+
+    assert.strictEqual(missing.valid, false);
+    assert.strictEqual(missing.reason, 'missing-inputs');
+
+    source.add(genesis(SLP.fromGenesis({amount: 100})));
+
+    assert.strictEqual((await dag.verify(tx)).valid, true);
+  });
+
+  it('should stop at the depth limit', async () => {
+    const source = new Source();
+    const gen = source.add(genesis(SLP.fromGenesis({amount: 100})));
+    const tokenId = getTokenId(gen);
+
+    let tx = gen;
+
+    for (let i = 0; i < 4; i++)
+      tx = source.add(send(tx, SLP.fromSend({tokenId, amounts: [100]}), 1));
+
+    const shallow = createDAG(source, {maxDepth: 2});
+    const verdict = await shallow.verify(tx);
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'slp-dag-depth');
+
+    const deep = createDAG(source, {maxDepth: 4});
+
+    assert.strictEqual((await deep.verify(tx)).valid, true);
+  });
+
+  it('should validate an ALP SEND back to its GENESIS', async () => {
+    const source = new Source();
+    const gen = source.add(genesis(ALP.fromGenesis({
+      ticker: 'ALP',
+      amounts: [100]
+    })));
+    const tokenId = getTokenId(gen);
+    const tx = source.add(send(gen,
+      ALP.fromSend({tokenId, amounts: [40, 60]}), 2));
+
+    const dag = createDAG(source);
+    const verdict = await dag.verify(tx);
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.version, 0);
+    assert.bufferEqual(verdict.tokenId, tokenId);
+
+    const over = source.add(send(gen,
+      ALP.fromSend({tokenId, amounts: [101]}), 1));
+
+    assert.strictEqual((await dag.verify(over)).reason, 'bad-alp-send-inputs');
+  });
+});
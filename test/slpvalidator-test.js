@@ -0,0 +1,248 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {U64} = require('n64');
+const MTX = require('../lib/primitives/mtx');
+const Coin = require('../lib/primitives/coin');
+const KeyRing = require('../lib/primitives/keyring');
+const Script = require('../lib/script/script');
+const SLP = require('../lib/script/slp');
+const ALP = require('../lib/script/alp');
+const validator = require('../lib/script/slpvalidator');
+
+const ring = KeyRing.fromPrivate(Buffer.alloc(32, 1));
+const addr = ring.getAddress();
+
+const tokenA = Buffer.alloc(32, 0xaa);
+const tokenB = Buffer.alloc(32, 0xbb);
+
+function tokenCoin(n, tokenId, value, options = {}) {
+  const hash = Buffer.alloc(32, n);
+  const version = options.version != null ? options.version : 1;
+
+  return new Coin({
+    hash,
+    index: 1,
+    value: 546,
+    script: Script.fromAddress(addr),
+    slp: SLP.SlpCoinRecord({
+      hash,
+      vout: 1,
+      tokenId,
+      value: U64.fromInt(value).toBE(Buffer),
+      type: options.type || 'SEND',
+      version
+    })
+  });
+}
+
+function spend(coins, script, outputs) {
+  const mtx = new MTX();
+
+  for (const coin of coins)
+    mtx.addCoin(coin);
+
+  if (script)
+    mtx.addOutput(script, 0);
+
+  for (let i = 0; i < outputs; i++)
+    mtx.addOutput(addr, 546);
+
+  return mtx;
+}
+
+function verify(mtx) {
+  return validator.verifyTX(mtx, mtx.view);
+}
+
+describe('SLP Validator', function() {
+  it('should accept a balanced SEND', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [40, 20]});
+    const verdict = verify(spend([coin], script, 2));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.type, 'SEND');
+    assert.strictEqual(verdict.version, 1);
+    assert.bufferEqual(verdict.tokenId, tokenA);
+    assert.strictEqual(verdict.burns.length, 0);
+    assert.strictEqual(verdict.isBurn(), false);
+  });
+
+  it('should report the change left out of a SEND', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [50]});
+    const verdict = verify(spend([coin], script, 1));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.isBurn(), true);
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '10');
+  });
+
+  it('should report amounts sent to missing outputs', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [40, 20]});
+    const verdict = verify(spend([coin], script, 1));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '20');
+  });
+
+  it('should reject a SEND exceeding its inputs', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [70]});
+    const verdict = verify(spend([coin], script, 1));
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'bad-slp-send-inputs');
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '60');
+  });
+
+  it('should not mix token types', () => {
+    const coin = tokenCoin(1, tokenA, 60, {version: 0x81});
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [60]});
+    const verdict = verify(spend([coin], script, 1));
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'bad-slp-send-inputs');
+    assert.strictEqual(verdict.burns[0].version, 0x81);
+  });
+
+  it('should burn every token of a plain transaction', () => {
+    const a = tokenCoin(1, tokenA, 60);
+    const b = tokenCoin(2, tokenB, 5);
+    const verdict = verify(spend([a, b], null, 1));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.type, null);
+    assert.strictEqual(verdict.burns.length, 2);
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '60');
+    assert.strictEqual(verdict.getBurn(tokenB).value.toString(10), '5');
+  });
+
+  it('should not report an explicit BURN', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = SLP.fromBurn({tokenId: tokenA, amount: 60});
+    const verdict = verify(spend([coin], script, 1));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.type, 'BURN');
+    assert.strictEqual(verdict.burns.length, 0);
+  });
+
+  it('should require a baton to MINT', () => {
+    const script = SLP.fromMint({tokenId: tokenA, batonVout: 2, amount: 10});
+    const coin = tokenCoin(1, tokenA, 60);
+    const baton = tokenCoin(2, tokenA, 0, {type: 'BATON'});
+
+    const bad = verify(spend([coin], script, 2));
+
+    assert.strictEqual(bad.valid, false);
+    assert.strictEqual(bad.reason, 'bad-slp-mint-baton');
+
+    const good = verify(spend([baton], script, 2));
+
+    assert.strictEqual(good.valid, true);
+    assert.strictEqual(good.type, 'MINT');
+    assert.strictEqual(good.burns.length, 0);
+  });
+
+  it('should report an ended baton', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const baton = tokenCoin(2, tokenA, 0, {type: 'BATON'});
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [60]});
+    const verdict = verify(spend([coin, baton], script, 1));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '0');
+    assert.strictEqual(verdict.getBurn(tokenA).batons, 1);
+  });
+
+  it('should reject a malformed SLP script', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = Script.fromRaw(Buffer.from('6a04534c500001', 'hex'));
+    const verdict = verify(spend([coin], script, 1));
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'bad-slp-script');
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '60');
+  });
+
+  it('should report the known token inputs of missing inputs', () => {
+    const coin = tokenCoin(1, tokenA, 60);
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [60]});
+    const mtx = spend([coin], script, 1);
+
+    mtx.addInput({prevout: {hash: Buffer.alloc(32, 9), index: 0}});
+
+    const verdict = verify(mtx);
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.reason, 'missing-inputs');
+    assert.strictEqual(verdict.burns.length, 1);
+    assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '60');
+  });
+
+  it('should find the token script at output 0 only', () => {
+    const script = SLP.fromSend({tokenId: tokenA, amounts: [60]});
+    const first = spend([], script, 1);
+    const second = spend([], null, 1);
+
+    second.addOutput(script, 0);
+
+    assert(validator.getTokenScript(first) instanceof SLP);
+    assert.strictEqual(validator.getTokenScript(second), null);
+  });
+
+  describe('ALP', function() {
+    it('should accept a balanced SEND', () => {
+      const coin = tokenCoin(1, tokenA, 60, {version: 0});
+      const script = ALP.fromSend({tokenId: tokenA, amounts: [25, 35]});
+      const verdict = verify(spend([coin], script, 2));
+
+      assert.strictEqual(verdict.valid, true);
+      assert.strictEqual(verdict.version, 0);
+      assert.bufferEqual(verdict.tokenId, tokenA);
+      assert.strictEqual(verdict.burns.length, 0);
+    });
+
+    it('should not take SLP inputs', () => {
+      const coin = tokenCoin(1, tokenA, 60);
+      const script = ALP.fromSend({tokenId: tokenA, amounts: [60]});
+      const verdict = verify(spend([coin], script, 1));
+
+      assert.strictEqual(verdict.valid, false);
+      assert.strictEqual(verdict.reason, 'bad-alp-send-inputs');
+    });
+
+    it('should accept a SEND and an explicit BURN', () => {
+      const coin = tokenCoin(1, tokenA, 60, {version: 0});
+      const script = ALP.fromSections([
+        {type: 'SEND', tokenId: tokenA, amounts: [50]},
+        {type: 'BURN', tokenId: tokenA, amount: 10}
+      ]);
+      const verdict = verify(spend([coin], script, 1));
+
+      assert.strictEqual(verdict.valid, true);
+      assert.strictEqual(verdict.burns.length, 0);
+    });
+
+    it('should report every input when a later section fails', () => {
+      const a = tokenCoin(1, tokenA, 60, {version: 0});
+      const b = tokenCoin(2, tokenB, 5, {version: 0});
+      const script = ALP.fromSections([
+        {type: 'SEND', tokenId: tokenA, amounts: [60]},
+        {type: 'SEND', tokenId: tokenB, amounts: [0, 6]}
+      ]);
+      const verdict = verify(spend([a, b], script, 2));
+
+      assert.strictEqual(verdict.valid, false);
+      assert.strictEqual(verdict.reason, 'bad-alp-send-inputs');
+      assert.strictEqual(verdict.getBurn(tokenA).value.toString(10), '60');
+      assert.strictEqual(verdict.getBurn(tokenB).value.toString(10), '5');
+    });
+  });
+});